@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/* Hot Folder CLI - apply the plugin's rules to a vault without Obsidian
+ *
+ * Usage: node cli.js <vault> [--check | --dry-run | --write] [--config <data.json>]
+ *
+ *   --check    list notes that don't follow the rules; exit 1 if there are any
+ *   --dry-run  print the change each note would get (default)
+ *   --write    apply the changes
+ *   --config   plugin settings to use, defaults to
+ *              <vault>/.obsidian/plugins/hot-folder/data.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+const engine = require("./engine");
+
+engine.configureEngine({ moment: loadMoment() });
+
+const EXIT_DRIFT = 1;
+const EXIT_ERROR = 2;
+
+const DEFAULT_SETTINGS = {
+  rules: [],
+  listKeys: ["tags", "tag", "keywords"],
+  ignorePaths: [],
+  disabledGroups: [],
+  rulesFile: "",
+  folderNotes: true,
+};
+
+// Use moment when it is installed; otherwise a small stand-in that knows the
+// date tokens rule templates use most. Other tokens are an error rather than
+// text written into notes.
+function loadMoment() {
+  try {
+    return require("moment");
+  } catch (e) {
+    const pad = (n, width = 2) => String(n).padStart(width, "0");
+    return (timestamp) => {
+      const d = new Date(timestamp);
+      const tokens = {
+        YYYY: d.getFullYear(),
+        MM: pad(d.getMonth() + 1),
+        DD: pad(d.getDate()),
+        HH: pad(d.getHours()),
+        mm: pad(d.getMinutes()),
+        ss: pad(d.getSeconds()),
+      };
+      return {
+        // [text] is literal, as in moment, and so is the T of ISO dates
+        format: (format) =>
+          format.replace(
+            /\[([^\]]*)\]|YYYY|MM|DD|HH|mm|ss|[A-SU-Za-z]/g,
+            (token, literal) => {
+              if (literal !== undefined) return literal;
+              if (token in tokens) return tokens[token];
+              throw new Error(
+                `date format "${format}" needs the moment package (npm install moment)`,
+              );
+            },
+          ),
+        isValid: () => !isNaN(d.getTime()),
+      };
+    };
+  }
+}
+
+function parseArgs(argv) {
+  const args = { mode: "dry-run", vault: null, config: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--check" || arg === "--dry-run" || arg === "--write") {
+      args.mode = arg.slice(2);
+    } else if (arg === "--config") {
+      args.config = argv[++i];
+    } else if (arg === "--help" || arg === "-h") {
+      args.help = true;
+    } else if (!arg.startsWith("--") && !args.vault) {
+      args.vault = arg;
+    } else {
+      throw new Error(`unknown option ${arg}`);
+    }
+  }
+  return args;
+}
+
+function loadSettings(vault, configPath) {
+  const file =
+    configPath ||
+    path.join(vault, ".obsidian", "plugins", "hot-folder", "data.json");
+  const settings = Object.assign(
+    {},
+    DEFAULT_SETTINGS,
+    JSON.parse(fs.readFileSync(file, "utf8")),
+  );
+
+  // Rules kept in a vault file take precedence, as in the plugin
+  if (settings.rulesFile) {
+    const rulesPath = path.join(vault, settings.rulesFile);
+    if (fs.existsSync(rulesPath)) {
+      const extension = path.extname(rulesPath).slice(1).toLowerCase();
+      settings.rules = engine.parseRuleSet(
+        fs.readFileSync(rulesPath, "utf8"),
+        extension,
+      ).rules;
+    }
+  }
+  return settings;
+}
+
+// Vault-relative paths of all markdown notes, skipping hidden folders such
+// as .obsidian, .trash and .git
+function listNotes(vault, dir = "") {
+  const notes = [];
+  for (const entry of fs.readdirSync(path.join(vault, dir), {
+    withFileTypes: true,
+  })) {
+    if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+    const relative = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) notes.push(...listNotes(vault, relative));
+    else if (entry.name.endsWith(".md")) notes.push(relative);
+  }
+  return notes.sort();
+}
+
+// The parts of a TFile the engine reads
+function toFile(vault, notePath) {
+  const stat = fs.statSync(path.join(vault, notePath));
+  const name = path.posix.basename(notePath);
+  return {
+    path: notePath,
+    name,
+    basename: name.replace(/\.md$/, ""),
+    extension: "md",
+    stat: { ctime: stat.birthtimeMs || stat.ctimeMs, mtime: stat.mtimeMs },
+  };
+}
+
+// Reads the rules folder notes declare from disk, each note once
+function createFolderRuleLoader(vault) {
+  const rules = new Map();
+  return (notePath, folder) => {
+    if (!rules.has(notePath)) {
+      const file = path.join(vault, notePath);
+      const { frontmatter } = fs.existsSync(file)
+        ? engine.parseFrontmatter(fs.readFileSync(file, "utf8"))
+        : { frontmatter: {} };
+      rules.set(
+        notePath,
+        engine.createFolderNoteRule(
+          notePath,
+          folder,
+          frontmatter[engine.OPT_OUT_KEY],
+        ),
+      );
+    }
+    return rules.get(notePath);
+  };
+}
+
+function printDiff(plan) {
+  const before = plan.before + (plan.bodyBefore || "");
+  const after = plan.after + (plan.bodyAfter || "");
+  for (const { type, text } of engine.diffLines(before, after)) {
+    if (type !== " ") console.log(`  ${type} ${text}`);
+  }
+}
+
+async function run(args) {
+  const vault = path.resolve(args.vault);
+  const settings = loadSettings(vault, args.config);
+  const rules = settings.rules.filter((rule) =>
+    engine.isRuleActive(rule, settings.disabledGroups),
+  );
+  const rulesFile = settings.rulesFile.replace(/^\/+/, "");
+  const readTemplate = async (templatePath) => {
+    const file = path.join(vault, templatePath);
+    return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+  };
+
+  // Rules from folder notes apply after the configured ones, as in the plugin
+  const loadFolderRule = createFolderRuleLoader(vault);
+  const folderRules = (notePath) =>
+    settings.folderNotes
+      ? engine.findFolderNoteRules(notePath, loadFolderRule)
+      : [];
+
+  let drifted = 0;
+  for (const notePath of listNotes(vault)) {
+    if (notePath === rulesFile) continue;
+    if (engine.isIgnoredPath(notePath, settings.ignorePaths)) continue;
+    const matches = engine.findRuleMatches(
+      rules.concat(folderRules(notePath)),
+      notePath,
+    );
+    if (matches.length === 0) continue;
+
+    const absolute = path.join(vault, notePath);
+    const plan = await engine.planNoteUpdate(
+      fs.readFileSync(absolute, "utf8"),
+      toFile(vault, notePath),
+      matches,
+      [],
+      { trigger: "bulk", listKeys: settings.listKeys, readTemplate },
+    );
+    if (!plan) continue;
+
+    drifted++;
+    console.log(`${notePath}: ${plan.changedKeys.join(", ")}`);
+    if (args.mode === "dry-run") printDiff(plan);
+    if (args.mode === "write") fs.writeFileSync(absolute, plan.newContent);
+  }
+
+  const verb = { check: "drifted", "dry-run": "would change", write: "changed" };
+  console.log(`${drifted} note${drifted === 1 ? "" : "s"} ${verb[args.mode]}.`);
+  return args.mode === "check" && drifted > 0 ? EXIT_DRIFT : 0;
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(`hot-folder: ${e.message}`);
+  process.exit(EXIT_ERROR);
+}
+if (args.help || !args.vault) {
+  console.log(
+    "Usage: node cli.js <vault> [--check | --dry-run | --write] [--config <data.json>]",
+  );
+  process.exit(args.help ? 0 : EXIT_ERROR);
+}
+run(args).then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(`hot-folder: ${e.message}`);
+    process.exit(EXIT_ERROR);
+  },
+);
@@ -0,0 +1,2010 @@
+/* Hot Folder rule engine - matching, merging, planning, rule sets and YAML
+ *
+ * Everything here works on plain paths, strings and objects and nothing
+ * imports "obsidian", so the plugin (main.js) and the CLI (cli.js) share it.
+ * The date library is passed in through `configureEngine`: the plugin gives
+ * Obsidian's `moment`, the CLI its own.
+ */
+
+/* ----------------------------- Rule engine ----------------------------- */
+
+const engineEnv = { moment: null };
+
+// `env.moment` formats dates; any function with moment's
+// `moment(timestamp).format(format)` interface will do
+function configureEngine(env) {
+  Object.assign(engineEnv, env);
+}
+
+function isRuleActive(rule, disabledGroups = []) {
+  return (
+    rule.enabled !== false &&
+    !(rule.group && disabledGroups.includes(rule.group))
+  );
+}
+
+function isIgnoredPath(path, ignorePaths = []) {
+  return ignorePaths.some((p) => matchesPathPattern(path, p));
+}
+
+// The rules whose folder matches `path` and that don't exclude it, as
+// [{ rule, captures }]
+function findRuleMatches(rules, path) {
+  const matches = [];
+  for (const rule of rules) {
+    const captures = matchRuleFolder(path, rule);
+    if (!captures) continue;
+    if ((rule.exclude || []).some((p) => matchesPathPattern(path, p))) {
+      continue;
+    }
+    matches.push({ rule, captures });
+  }
+  return matches;
+}
+
+// Returns the named captures (an empty object when there are none) if the
+// rule's folder pattern matches, or null otherwise.
+function matchRuleFolder(filePath, rule) {
+  const folder = rule.folder;
+  if (!folder) return null;
+
+  switch (rule.matchMode || "contains") {
+    case "prefix":
+    case "exact": {
+      const normFolder = folder.replace(/^\/+|\/+$/g, "").toLowerCase();
+      if (normFolder === "") return null;
+      const dirPath = getParentPath(filePath).toLowerCase();
+      if (dirPath === normFolder) return {};
+      if (rule.matchMode === "prefix" && dirPath.startsWith(normFolder + "/")) {
+        return {};
+      }
+      return null;
+    }
+    case "glob": {
+      const re = globToRegExp(folder.replace(/^\/+|\/+$/g, ""));
+      return re.test(getParentPath(filePath)) ? {} : null;
+    }
+    case "regex": {
+      const re = compileRegExp(folder, "i");
+      const m = re && re.exec(filePath);
+      return m ? Object.assign({}, m.groups) : null;
+    }
+    default:
+      return isFileInFolder(filePath, folder) ? {} : null;
+  }
+}
+
+function isFileInFolder(filePath, folder) {
+  if (!folder) return false;
+  const normFolder = folder.replace(/^\/+|\/+$/g, "").toLowerCase();
+  if (normFolder === "") return false;
+  const lastSlash = filePath.lastIndexOf('/');
+  const dirPath = (lastSlash === -1) ? "" : filePath.substring(0, lastSlash);
+  const searchIn = '/' + dirPath.toLowerCase() + '/';
+  const searchFor = '/' + normFolder + '/';
+  return searchIn.includes(searchFor);
+}
+
+// A rule cut down to the fields marked live, which are recomputed whenever
+// the note is edited, or null when it has none. Migrations and body text
+// only run with the whole rule.
+function getLiveRule(rule) {
+  const options = rule.fieldOptions || {};
+  const frontmatter = {};
+  for (const [key, value] of Object.entries(rule.frontmatter || {})) {
+    if ((options[key] || {}).live) frontmatter[key] = value;
+  }
+  if (Object.keys(frontmatter).length === 0) return null;
+  return Object.assign({}, rule, {
+    frontmatter,
+    migrations: [],
+    body: undefined,
+  });
+}
+
+// A folder note is "<Folder>/<Folder>.md" or "<Folder>/_folder.md"; the map
+// under its `hot-folder` property holds the values for the folder's notes.
+
+// Paths a folder's folder note can have
+function getFolderNotePaths(folder) {
+  const name = folder.split("/").pop();
+  return [`${folder}/${name}.md`, `${folder}/_folder.md`];
+}
+
+// The rules of the folder notes above `path`, outermost first, so that
+// deeper folders override what they inherit. `loadRule(notePath, folder)`
+// returns the rule a folder note declares, or null when there is none.
+function findFolderNoteRules(path, loadRule) {
+  const rules = [];
+  const segments = getParentPath(path).split("/").filter(Boolean);
+  for (let depth = 1; depth <= segments.length; depth++) {
+    const folder = segments.slice(0, depth).join("/");
+    for (const notePath of getFolderNotePaths(folder)) {
+      const rule = loadRule(notePath, folder);
+      if (rule) rules.push(rule);
+    }
+  }
+  return rules;
+}
+
+// The rule for a folder note's `hot-folder` map (`declared`), or null when
+// the property isn't a map
+function createFolderNoteRule(notePath, folder, declared) {
+  if (!isPlainObject(declared)) return null;
+  return {
+    id: `folder:${notePath}`,
+    name: `Folder note ${notePath}`,
+    folder,
+    matchMode: "prefix",
+    frontmatter: deepClone(declared),
+    // The folder note declares the values; it doesn't receive them
+    exclude: [notePath],
+    source: notePath,
+  };
+}
+
+// Keys that several rules set to different single values on the same notes,
+// judged by folder matches alone. The later rule wins. Returns
+// [{ key, loser, winner, count, sample }] with `sample` one affected path.
+function findRuleConflicts(rules, paths, listKeys = []) {
+  const conflicts = new Map();
+  for (const path of paths) {
+    const matched = findRuleMatches(rules, path).map((m) => m.rule);
+    if (matched.length < 2) continue;
+
+    const setters = new Map();
+    for (const rule of matched) {
+      for (const [key, value] of Object.entries(rule.frontmatter || {})) {
+        if (getFieldStrategy(rule, key, value, listKeys) !== "set") continue;
+        if (Array.isArray(value) || listKeys.includes(key)) continue;
+        if (!setters.has(key)) setters.set(key, []);
+        setters.get(key).push(rule);
+      }
+    }
+
+    for (const [key, list] of setters) {
+      const winner = list[list.length - 1];
+      for (const loser of list.slice(0, -1)) {
+        if (sameValue(loser.frontmatter[key], winner.frontmatter[key])) continue;
+        const id = `${loser.id}\u0000${winner.id}\u0000${key}`;
+        if (!conflicts.has(id)) {
+          conflicts.set(id, { key, loser, winner, count: 0, sample: path });
+        }
+        conflicts.get(id).count++;
+      }
+    }
+  }
+  return [...conflicts.values()];
+}
+
+// Plan the update of one note: `content` is its text, `file` anything with
+// the path, name, basename and stat of a TFile, `matches` and `leaving` the
+// rule matches to apply and strip. `options` are `trigger`, `oldPath` (the
+// path the note moved from, which the stripped rules' placeholders use),
+// `listKeys` and `readTemplate(path)`, which resolves a body template's
+// content or null.
+// Returns null when the note is up to date, otherwise
+// { ruleIds, before, after, newContent, changedKeys } and, when the body
+// changed, `bodyBefore` and `bodyAfter`.
+async function planNoteUpdate(content, file, matches, leaving, options = {}) {
+  const { frontmatter, body, hadFM, originalFMText, eol } =
+    parseFrontmatter(content);
+
+  // Folder matches are cheap; a rule's extra conditions need the note itself
+  const conditionContext = getConditionContext(
+    file,
+    frontmatter,
+    body,
+    options.trigger,
+  );
+  const applying = matches.filter((m) =>
+    conditionsMet(m.rule, conditionContext),
+  );
+  const stripping = leaving.filter((m) =>
+    conditionsMet(m.rule, conditionContext),
+  );
+  if (applying.length === 0 && stripping.length === 0) return null;
+
+  // Placeholders such as {{title}} or {{date:YYYY-MM-DD}} are resolved per
+  // file; named regex captures of the rule's folder pattern are added on top.
+  // Rules being stripped resolve them as they did at the old location.
+  const vars = getTemplateVars(file, body);
+  const { newValues, removeKeys, renames } = computeRuleUpdate(
+    frontmatter,
+    applying,
+    stripping,
+    vars,
+    options.listKeys || [],
+    options.oldPath ? getTemplateVarsAt(file, options.oldPath, body) : vars,
+  );
+
+  // Body text the rules insert goes into the same write. It only goes into
+  // new notes: placeholders such as {{title}} render differently after a
+  // rename or on another day, so later runs couldn't recognize the text and
+  // would insert it again.
+  let newBody = body;
+  if (!isOptedOut(frontmatter) && options.trigger === "create") {
+    for (const { rule, captures } of applying) {
+      if (!rule.body) continue;
+      const text = await renderRuleBody(
+        rule,
+        Object.assign(getTemplateVars(file, body), captures),
+        options.readTemplate,
+      );
+      if (text) newBody = injectBody(newBody, text, rule.body, eol);
+    }
+  }
+  const bodyChanged = newBody !== body;
+
+  // Check if the note actually needs to be changed
+  const fmChanged = !isEmptyUpdate({ newValues, removeKeys, renames });
+  if (!fmChanged && !bodyChanged) return null;
+
+  // Apply surgical frontmatter modification. Renamed keys keep their line.
+  // Keys of typed fields are written strictly, so text that looks like a
+  // number or a boolean is quoted; "Auto" values are written as typed.
+  // Lists are always strict, since they may hold items from the note.
+  const rules = applying.map((m) => m.rule);
+  const strict = (key) => {
+    const rule = findDecidingRule(rules, key);
+    return !rule || isTypedField(rule, key) || Array.isArray(newValues[key]);
+  };
+  const modifiedFMText = !fmChanged
+    ? hadFM
+      ? originalFMText
+      : ""
+    : modifyFrontmatterSelectively(
+        renameYamlKeys(originalFMText, renames),
+        newValues,
+        hadFM,
+        removeKeys,
+        eol,
+        strict,
+      );
+
+  const plan = {
+    ruleIds: applying
+      .concat(stripping)
+      .map((m) => m.rule.id)
+      .filter(Boolean),
+    before: originalFMText,
+    after: modifiedFMText,
+    // modifiedFMText ends with exactly one line break before the body
+    newContent: modifiedFMText + newBody,
+    changedKeys: Object.keys(newValues).concat(
+      removeKeys,
+      Object.entries(renames).map(([from, to]) => `${from} → ${to}`),
+    ),
+  };
+  // The body is only kept when it changed, to keep the journal small
+  if (bodyChanged) {
+    plan.bodyBefore = body;
+    plan.bodyAfter = newBody;
+    plan.changedKeys.push("(body)");
+  }
+  return plan;
+}
+
+// The text a rule inserts into the body, with placeholders resolved, or
+// null when its template file is missing. A template's own frontmatter
+// is left out.
+async function renderRuleBody(rule, vars, readTemplate) {
+  let text = rule.body.text || "";
+  if (rule.body.source === "file") {
+    const template = readTemplate
+      ? await readTemplate(rule.body.file || "")
+      : null;
+    if (template === null) {
+      console.warn(`Hot Folder: body template ${rule.body.file} not found`);
+      return null;
+    }
+    text = parseFrontmatter(template).body;
+  }
+  return renderTemplate(text, vars).trim() || null;
+}
+
+/* ----------------------------- Utilities ----------------------------- */
+
+// How a rule's folder is compared with a note's location
+const MATCH_MODES = {
+  contains: "Folder anywhere in path",
+  prefix: "Folder and subfolders",
+  exact: "Folder only (no subfolders)",
+  glob: "Glob pattern",
+  regex: "Regular expression",
+};
+
+function getParentPath(filePath) {
+  const lastSlash = filePath.lastIndexOf("/");
+  return lastSlash === -1 ? "" : filePath.substring(0, lastSlash);
+}
+
+// Convert a folder glob to an anchored, case-insensitive RegExp.
+// `**` spans any number of folders, `*` and `?` stay within one folder.
+// Compiled globs are cached like compileRegExp's patterns.
+const globCache = new Map();
+function globToRegExp(glob) {
+  if (!globCache.has(glob)) globCache.set(glob, compileGlob(glob));
+  return globCache.get(glob);
+}
+
+function compileGlob(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "/" && glob.slice(i + 1) === "**") {
+      // A trailing "/**" also matches the folder itself
+      re += "(?:/.*)?";
+      break;
+    } else if (c === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        re += "(?:.*/)?";
+      } else {
+        re += ".*";
+      }
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp("^" + re + "$", "i");
+}
+
+// Compiled patterns are cached; an invalid pattern yields null
+const regExpCache = new Map();
+function compileRegExp(pattern, flags = "") {
+  const cacheKey = flags + "/" + pattern;
+  if (!regExpCache.has(cacheKey)) {
+    let re = null;
+    try {
+      re = new RegExp(pattern, flags);
+    } catch (e) {
+      console.warn(`Hot Folder: invalid pattern "${pattern}"`, e);
+    }
+    regExpCache.set(cacheKey, re);
+  }
+  return regExpCache.get(cacheKey);
+}
+
+// Extra conditions a rule can require besides its folder
+const CONDITION_TYPES = {
+  filename: "File name matches",
+  property: "Property",
+  tag: "Has tag",
+  extension: "File extension",
+  content: "Content contains",
+  trigger: "Trigger",
+};
+
+const PROPERTY_OPERATORS = {
+  equals: "equals",
+  contains: "contains",
+  missing: "is missing",
+  exists: "exists",
+};
+
+const TRIGGERS = {
+  create: "Note created",
+  move: "Note moved or renamed",
+  manual: "Applied by command",
+  modify: "Note edited (live fields)",
+};
+
+// What conditions are evaluated against
+function getConditionContext(file, frontmatter, body, trigger) {
+  return {
+    name: file.name,
+    basename: file.basename,
+    frontmatter,
+    body,
+    trigger,
+  };
+}
+
+// Check a rule's conditions (combined with AND or OR per `conditionMode`)
+// against a note. `context` holds the note's `name`, `basename`,
+// `frontmatter`, `body` and the `trigger` that started the run.
+function conditionsMet(rule, context) {
+  const conditions = rule.conditions || [];
+  if (conditions.length === 0) return true;
+  const check = (condition) => conditionMet(condition, context);
+  return rule.conditionMode === "any"
+    ? conditions.some(check)
+    : conditions.every(check);
+}
+
+// Whether a rule looks at the note body: conditions on content or inline
+// tags, or values using {{words}}
+function ruleNeedsBody(rule) {
+  return (
+    (rule.conditions || []).some(
+      (c) => c.type === "content" || c.type === "tag",
+    ) ||
+    Object.values(rule.frontmatter || {}).some((value) =>
+      toArray(value).some((item) => /\{\{\s*words\b/.test(String(item))),
+    )
+  );
+}
+
+function conditionMet(condition, context) {
+  const value = condition.value == null ? "" : String(condition.value);
+  switch (condition.type) {
+    case "filename": {
+      const re = compileRegExp(value, "i");
+      return !!re && re.test(context.basename);
+    }
+    case "property": {
+      const current = getFrontmatterValue(context.frontmatter, condition.key);
+      switch (condition.operator) {
+        case "missing":
+          return isEmptyValue(current);
+        case "exists":
+          return !isEmptyValue(current);
+        case "contains":
+          return Array.isArray(current)
+            ? includesValue(current, value)
+            : scalarText(current).toLowerCase().includes(value.toLowerCase());
+        default:
+          return Array.isArray(current)
+            ? current.length === 1 && sameValue(current[0], value)
+            : current !== undefined && sameValue(current, value);
+      }
+    }
+    case "tag": {
+      const wanted = value.replace(/^#/, "").toLowerCase();
+      return collectTags(context.frontmatter, context.body).some(
+        (tag) => tag === wanted || tag.startsWith(wanted + "/"),
+      );
+    }
+    case "extension":
+      return context.name
+        .toLowerCase()
+        .endsWith("." + value.replace(/^\./, "").toLowerCase());
+    case "content":
+      return (context.body || "").toLowerCase().includes(value.toLowerCase());
+    case "trigger": {
+      // Bulk runs count as applying by command
+      const trigger = context.trigger || "manual";
+      return (trigger === "bulk" ? "manual" : trigger) === value;
+    }
+    default:
+      return true;
+  }
+}
+
+// Lowercased tags from the frontmatter (tags/tag) and inline #tags in the body
+function collectTags(frontmatter, body) {
+  const tags = toArray(frontmatter.tags)
+    .concat(toArray(frontmatter.tag))
+    .flatMap((tag) => String(tag).split(/[,\s]+/))
+    .filter(Boolean);
+  const inline = (body || "").matchAll(/(?:^|\s)#([^\s#.,;:!?()[\]{}"']+)/g);
+  for (const m of inline) tags.push(m[1]);
+  return tags.map((tag) => String(tag).replace(/^#/, "").toLowerCase());
+}
+
+// Run matched rules against a frontmatter object without touching it.
+// `applying` and `stripping` are rule matches ({ rule, captures }); the
+// captures are merged over `vars`, or `strippingVars` for the rules being
+// stripped, for each rule's placeholders.
+// Returns the changed values and removed keys, as diffFrontmatter does, plus
+// `renames` ({ oldKey: newKey }) for keys to rename in place; the changes are
+// relative to the frontmatter with those renames done.
+// Notes that opt out are left alone, as are the keys they list in
+// `hot-folder-ignore`.
+function computeRuleUpdate(
+  frontmatter,
+  applying,
+  stripping,
+  vars,
+  listKeys,
+  strippingVars = vars,
+) {
+  if (isOptedOut(frontmatter)) {
+    return { newValues: {}, removeKeys: [], renames: {} };
+  }
+  const ignored = toArray(frontmatter[IGNORE_KEYS_KEY]).map(String);
+  const isIgnored = (key) =>
+    ignored.some((k) => key === k || key.startsWith(k + "."));
+
+  const renames = collectKeyRenames(
+    frontmatter,
+    applying.map((m) => m.rule),
+    isIgnored,
+  );
+  const base = renameKeys(frontmatter, renames);
+
+  // Work on a copy so the result can be diffed against what is on disk
+  const working = deepClone(base);
+
+  // Strip what the rules of the folder we left contributed
+  for (const { rule, captures } of stripping) {
+    stripRuleValues(
+      working,
+      rule,
+      Object.assign({}, strippingVars, captures),
+      listKeys,
+    );
+  }
+
+  // Migrate old keys and values, then merge all rule frontmatters (accumulate)
+  for (const { rule, captures } of applying) {
+    migrateRuleKeys(working, rule);
+    mergeRuleValues(working, rule, Object.assign({}, vars, captures), listKeys);
+  }
+
+  const { newValues, removeKeys } = diffFrontmatter(base, working);
+  for (const key of Object.keys(newValues)) {
+    if (isIgnored(key)) delete newValues[key];
+  }
+  return {
+    newValues,
+    removeKeys: removeKeys.filter((k) => !isIgnored(k)),
+    renames,
+  };
+}
+
+// The rule among `rules` (in the order they are applied) that decides `key`:
+// the last one whose fields or migrations touch it. Dotted keys count for
+// the maps that hold them.
+function findDecidingRule(rules, key) {
+  const related = (k) =>
+    !!k && (k === key || key.startsWith(k + ".") || k.startsWith(key + "."));
+  const touching = rules.filter(
+    (rule) =>
+      Object.keys(rule.frontmatter || {}).some(related) ||
+      (rule.migrations || []).some((m) => related(m.key) || related(m.target)),
+  );
+  return touching.length > 0
+    ? touching[touching.length - 1]
+    : rules[rules.length - 1];
+}
+
+// Whether the field of `rule` that writes `key` has an explicit type
+function isTypedField(rule, key) {
+  return Object.entries(rule.fieldOptions || {}).some(
+    ([k, options]) =>
+      !!options.type &&
+      (k === key || key.startsWith(k + ".") || k.startsWith(key + ".")),
+  );
+}
+
+function isEmptyUpdate({ newValues, removeKeys, renames }) {
+  return (
+    Object.keys(newValues).length === 0 &&
+    removeKeys.length === 0 &&
+    Object.keys(renames || {}).length === 0
+  );
+}
+
+// Migration actions a rule can run on existing keys before its values merge
+const MIGRATION_ACTIONS = {
+  rename: "Rename key",
+  merge: "Merge into key",
+  transform: "Transform values",
+  delete: "Delete key",
+};
+
+const VALUE_TRANSFORMS = {
+  lowercase: "Lowercase",
+  uppercase: "Uppercase",
+  map: "Map values",
+};
+
+// Top-level keys the rules' "rename" migrations can rename in place: the old
+// key is present and the new one is not. Returns { oldKey: newKey }.
+function collectKeyRenames(frontmatter, rules, isIgnored) {
+  const renames = {};
+  const taken = new Set(Object.keys(frontmatter));
+  for (const rule of rules) {
+    for (const m of rule.migrations || []) {
+      if (m.action !== "rename" || m.key in renames) continue;
+      if (!Object.prototype.hasOwnProperty.call(frontmatter, m.key)) continue;
+      if (taken.has(m.target) || isIgnored(m.key) || isIgnored(m.target)) {
+        continue;
+      }
+      renames[m.key] = m.target;
+      taken.delete(m.key);
+      taken.add(m.target);
+    }
+  }
+  return renames;
+}
+
+// Copy of `frontmatter` with keys renamed, keeping their order
+function renameKeys(frontmatter, renames) {
+  const result = {};
+  for (const [key, value] of Object.entries(frontmatter)) {
+    result[key in renames ? renames[key] : key] = deepClone(value);
+  }
+  return result;
+}
+
+// Run a rule's migrations on `frontmatter` (mutates it). Renames are done
+// beforehand by collectKeyRenames; one left over here means the new key was
+// already there, so the old key only goes once it holds the same value.
+function migrateRuleKeys(frontmatter, rule) {
+  for (const m of rule.migrations || []) {
+    if (!hasFrontmatterValue(frontmatter, m.key)) continue;
+    const value = getFrontmatterValue(frontmatter, m.key);
+
+    switch (m.action) {
+      case "rename":
+        if (sameValue(value, getFrontmatterValue(frontmatter, m.target))) {
+          deleteFrontmatterValue(frontmatter, m.key);
+        }
+        break;
+      case "merge": {
+        const current = getFrontmatterValue(frontmatter, m.target);
+        if (isEmptyValue(current)) {
+          setFrontmatterValue(frontmatter, m.target, value);
+        } else {
+          const merged = toArray(current);
+          for (const val of toArray(value)) {
+            if (!includesValue(merged, val)) merged.push(val);
+          }
+          setFrontmatterValue(frontmatter, m.target, merged);
+        }
+        deleteFrontmatterValue(frontmatter, m.key);
+        break;
+      }
+      case "transform":
+        setFrontmatterValue(frontmatter, m.key, transformValue(value, m));
+        break;
+      case "delete":
+        deleteFrontmatterValue(frontmatter, m.key);
+        break;
+    }
+  }
+}
+
+// Apply a "transform" migration to a value or to each item of a list.
+// Only text is transformed.
+function transformValue(value, migration) {
+  const map = migration.map || {};
+  const transform = (val) => {
+    if (typeof val !== "string") return val;
+    switch (migration.transform) {
+      case "lowercase":
+        return val.toLowerCase();
+      case "uppercase":
+        return val.toUpperCase();
+      case "map":
+        return Object.prototype.hasOwnProperty.call(map, val) ? map[val] : val;
+      default:
+        return val;
+    }
+  };
+  return Array.isArray(value) ? value.map(transform) : transform(value);
+}
+
+// Where a rule's body text goes
+const BODY_POSITIONS = {
+  "if-empty": "Only if the body is empty",
+  prepend: "At the top",
+  append: "At the bottom",
+  heading: "Under a heading",
+};
+
+// Insert `text` into a note body following `options` ({ position, heading }).
+// Bodies that already contain the text are returned unchanged, so applying a
+// rule twice doesn't duplicate it.
+function injectBody(body, text, options, eol = "\n") {
+  const insert = text.replace(/\r?\n/g, eol);
+  if (body.includes(insert)) return body;
+
+  switch (options.position) {
+    case "prepend":
+      return body.trim() === ""
+        ? insert + eol
+        : insert + eol + eol + body.replace(/^(\s*\r?\n)+/, "");
+    case "append":
+      return body.trim() === ""
+        ? insert + eol
+        : body.replace(/\s*$/, "") + eol + eol + insert + eol;
+    case "heading": {
+      const heading = (options.heading || "").replace(/^#+\s*/, "").trim();
+      const lines = body.split(/\r?\n/);
+      const index = lines.findIndex((line) => {
+        const m = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+        return m && m[1].toLowerCase() === heading.toLowerCase();
+      });
+      if (index === -1) {
+        // No such heading yet: add it at the bottom
+        const section = `## ${heading}${eol}${insert}`;
+        return injectBody(body, section, { position: "append" }, eol);
+      }
+      lines.splice(index + 1, 0, insert);
+      return lines.join(eol);
+    }
+    default:
+      return body.trim() === "" ? insert + eol : body;
+  }
+}
+
+// Frontmatter keys a note uses to opt out of rules
+const OPT_OUT_KEY = "hot-folder";
+const IGNORE_KEYS_KEY = "hot-folder-ignore";
+
+// `hot-folder: false` exempts a note from every rule and route
+function isOptedOut(frontmatter) {
+  return !!frontmatter && frontmatter[OPT_OUT_KEY] === false;
+}
+
+// The folder reference `ref` after renaming `oldPath` to `newPath`, or null
+// when it doesn't refer to that folder or one below it. Plain paths are
+// compared from the vault root; with `anywhere` (the "contains" match mode),
+// `ref` may also be the trailing folders of `oldPath`, e.g. "Clients" for
+// "Work/Clients". Globs are never rewritten.
+function renameFolderReference(ref, oldPath, newPath, anywhere = false) {
+  if (!ref || /[*?]/.test(ref)) return null;
+  const norm = ref.replace(/^\/+|\/+$/g, "");
+  const lowerRef = norm.toLowerCase();
+  const lowerOld = oldPath.toLowerCase();
+  if (lowerRef === lowerOld || lowerRef.startsWith(lowerOld + "/")) {
+    return newPath + norm.slice(oldPath.length);
+  }
+  if (anywhere && lowerOld.endsWith("/" + lowerRef)) {
+    // Keep as many trailing folders as the reference had
+    const depth = norm.split("/").length;
+    return newPath.split("/").slice(-depth).join("/");
+  }
+  return null;
+}
+
+// Whether `path` is `folder` itself or lies below it
+function isPathInFolder(path, folder) {
+  return path === folder || path.startsWith(folder + "/");
+}
+
+// The folders of a templated path before its first placeholder ("Archive" for
+// "Archive/{{year}}"), or "" when it starts with one or has none
+function getFixedFolderPrefix(target) {
+  const segments = target.replace(/^\/+|\/+$/g, "").split("/");
+  const index = segments.findIndex((segment) => segment.includes("{{"));
+  return index === -1 ? "" : segments.slice(0, index).join("/");
+}
+
+// Exclusion patterns are folder paths (the folder and everything below it) or
+// globs tested against the note path, e.g. "Projects/Templates" or "**/_*.md"
+function matchesPathPattern(path, pattern) {
+  const normPattern = String(pattern).replace(/^\/+|\/+$/g, "");
+  if (!normPattern) return false;
+  if (/[*?]/.test(normPattern)) return globToRegExp(normPattern).test(path);
+  const lowerPath = path.toLowerCase();
+  const lowerPattern = normPattern.toLowerCase();
+  return lowerPath === lowerPattern || lowerPath.startsWith(lowerPattern + "/");
+}
+
+// Per-key merge strategies a rule field can declare
+const MERGE_STRATEGIES = {
+  "": "Default",
+  set: "Set",
+  "set-if-missing": "Set if missing",
+  append: "Append to list",
+  prepend: "Prepend to list",
+  "replace-list": "Replace list",
+  "remove-value": "Remove value",
+  "delete-key": "Delete key",
+};
+
+// Without an explicit strategy, lists and list keys (tags, ...) append and
+// every other scalar is overwritten, so the last matching rule wins.
+function getFieldStrategy(rule, key, value, listKeys) {
+  const options = (rule.fieldOptions || {})[key];
+  if (options && options.strategy) return options.strategy;
+  return Array.isArray(value) || listKeys.includes(key) ? "append" : "set";
+}
+
+// Merge a rule's values into `frontmatter` (mutates it), following each
+// field's merge strategy. Dotted keys such as "project.status" write into
+// nested maps.
+function mergeRuleValues(frontmatter, rule, vars = {}, listKeys = []) {
+  const values = renderRuleValues(rule, vars);
+  for (const k in rule.frontmatter || {}) {
+    const incoming = values[k];
+    const strategy = getFieldStrategy(rule, k, incoming, listKeys);
+
+    if (strategy === "delete-key") {
+      deleteFrontmatterValue(frontmatter, k);
+      continue;
+    }
+    if (incoming === undefined) continue;
+
+    const current = getFrontmatterValue(frontmatter, k);
+    const isList = Array.isArray(incoming) || listKeys.includes(k);
+
+    switch (strategy) {
+      case "set-if-missing":
+        if (!isEmptyValue(current)) break;
+      // falls through
+      case "set":
+        setFrontmatterValue(
+          frontmatter,
+          k,
+          isList ? toArray(incoming) : incoming,
+        );
+        break;
+      case "replace-list":
+        setFrontmatterValue(frontmatter, k, toArray(incoming));
+        break;
+      case "append":
+      case "prepend": {
+        const existing = toArray(current);
+        const added = toArray(incoming).filter(
+          (val) => !includesValue(existing, val),
+        );
+        setFrontmatterValue(
+          frontmatter,
+          k,
+          strategy === "append"
+            ? existing.concat(added)
+            : added.concat(existing),
+        );
+        break;
+      }
+      case "remove-value": {
+        if (current === undefined) break;
+        if (!Array.isArray(current) && !isList) {
+          if (includesValue(toArray(incoming), current)) {
+            deleteFrontmatterValue(frontmatter, k);
+          }
+          break;
+        }
+        const toRemove = toArray(incoming);
+        const remaining = toArray(current).filter(
+          (val) => !includesValue(toRemove, val),
+        );
+        if (remaining.length > 0) setFrontmatterValue(frontmatter, k, remaining);
+        else deleteFrontmatterValue(frontmatter, k);
+        break;
+      }
+    }
+  }
+}
+
+// Remove the values a rule contributed from `frontmatter` (mutates it).
+// List values only lose the rule's items, so user-added items stay; a scalar is
+// only removed while it still holds the rule's value. Fields that remove
+// values rather than add them are left alone.
+function stripRuleValues(frontmatter, rule, vars = {}, listKeys = []) {
+  const values = renderRuleValues(rule, vars);
+  for (const k in values) {
+    if (!hasFrontmatterValue(frontmatter, k)) continue;
+    const incoming = values[k];
+    const strategy = getFieldStrategy(rule, k, incoming, listKeys);
+    if (strategy === "remove-value" || strategy === "delete-key") continue;
+    const current = getFrontmatterValue(frontmatter, k);
+
+    if (Array.isArray(incoming) || Array.isArray(current)) {
+      const toRemove = toArray(incoming);
+      const remaining = toArray(current).filter(
+        (val) => !includesValue(toRemove, val),
+      );
+      if (remaining.length > 0) setFrontmatterValue(frontmatter, k, remaining);
+      else deleteFrontmatterValue(frontmatter, k);
+    } else if (sameValue(current, incoming)) {
+      deleteFrontmatterValue(frontmatter, k);
+    }
+  }
+}
+
+function isEmptyValue(val) {
+  return toArray(val).length === 0;
+}
+
+// Resolve the placeholders in every value of a rule and convert it to the
+// field's type. Values that render to an empty string are left out.
+function renderRuleValues(rule, vars) {
+  const values = {};
+  for (const [k, v] of Object.entries(rule.frontmatter || {})) {
+    const type = ((rule.fieldOptions || {})[k] || {}).type;
+    if (Array.isArray(v)) {
+      const arr = v.map((item) => renderTemplate(item, vars)).filter(Boolean);
+      if (arr.length > 0) values[k] = coerceFieldValue(arr, type);
+    } else {
+      const str = renderTemplate(v, vars);
+      if (str !== "") values[k] = coerceFieldValue(str, type);
+    }
+  }
+  return values;
+}
+
+// Property types a rule field can declare, matching Obsidian's own
+const FIELD_TYPES = {
+  "": "Auto",
+  text: "Text",
+  list: "List",
+  number: "Number",
+  checkbox: "Checkbox",
+  date: "Date",
+  datetime: "Date & time",
+  link: "Link",
+};
+
+// Convert a value to a field type. "Auto" fields keep the text as typed;
+// it is written unquoted, so "02134" or "1.10" reach the note unchanged.
+function coerceFieldValue(value, type) {
+  const each = (fn) => (Array.isArray(value) ? value.map(fn) : fn(value));
+  switch (type) {
+    case "list":
+      return Array.isArray(value)
+        ? value.map(String)
+        : String(value)
+            .split(",")
+            .map((x) => x.trim())
+            .filter(Boolean);
+    case "text":
+      return Array.isArray(value) ? value.join(", ") : String(value);
+    case "number":
+      return each((x) => {
+        const n = Number(x);
+        return typeof x === "number" || (String(x).trim() !== "" && isFinite(n))
+          ? n
+          : x;
+      });
+    case "checkbox":
+      return each((x) => x === true || /^(true|yes|1)$/i.test(String(x)));
+    case "date":
+    case "datetime":
+      return each(String);
+    case "link":
+      return each((x) => {
+        const str = String(x).trim();
+        return str === "" || /^\[\[.*\]\]$|^\[.*\]\(.*\)$/.test(str)
+          ? str
+          : `[[${str}]]`;
+      });
+    default:
+      return value;
+  }
+}
+
+// Variables available to {{placeholders}} for a given file. `words` is
+// only known when the note's body is given.
+function getTemplateVars(file, body) {
+  const path = file.path.replace(/\\/g, "/");
+  const folder = getParentPath(path);
+  return {
+    title: file.basename,
+    path,
+    folder,
+    parent: folder.split("/").pop(),
+    ctime: file.stat ? file.stat.ctime : undefined,
+    mtime: file.stat ? file.stat.mtime : undefined,
+    words: body === undefined ? undefined : countWords(body),
+  };
+}
+
+// Template variables of `file` as if it were still at `path`
+function getTemplateVarsAt(file, path, body) {
+  const name = path.split("/").pop();
+  return getTemplateVars(
+    { path, basename: name.replace(/\.[^.]*$/, ""), stat: file.stat },
+    body,
+  );
+}
+
+function countWords(text) {
+  return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+// Replace {{name}} and {{name:format}} placeholders.
+// `date`, `time`, `ctime` and `mtime` accept a moment.js format; `year`,
+// `month` and `day` are today's. Unknown placeholders are left untouched.
+function renderTemplate(value, vars) {
+  if (typeof value !== "string" || !value.includes("{{")) return value;
+  return value.replace(
+    /\{\{\s*([\w-]+)(?::([^}]*))?\s*\}\}/g,
+    (match, name, format) => {
+      switch (name) {
+        case "date":
+          return formatDate(Date.now(), format || "YYYY-MM-DD");
+        case "time":
+          return formatDate(Date.now(), format || "HH:mm");
+        case "year":
+          return formatDate(Date.now(), "YYYY");
+        case "month":
+          return formatDate(Date.now(), "MM");
+        case "day":
+          return formatDate(Date.now(), "DD");
+        case "ctime":
+        case "mtime":
+          if (vars[name] == null) return match;
+          return formatDate(vars[name], format || "YYYY-MM-DDTHH:mm");
+        default:
+          if (!Object.prototype.hasOwnProperty.call(vars, name)) return match;
+          return vars[name] == null ? "" : String(vars[name]);
+      }
+    },
+  );
+}
+
+function formatDate(timestamp, format) {
+  return engineEnv.moment(timestamp).format(format.trim());
+}
+
+// Compare the original frontmatter with an edited copy.
+// Returns the keys whose value changed and the keys that were removed. Nested
+// maps present on both sides are compared key by key and reported as dotted
+// paths, so the writer only touches the nested entries that changed.
+function diffFrontmatter(original, updated, prefix = "") {
+  const newValues = {};
+  const removeKeys = [];
+
+  for (const [key, newValue] of Object.entries(updated)) {
+    const currentValue = original[key];
+    const path = prefix + key;
+
+    if (
+      isPlainObject(newValue) &&
+      isPlainObject(currentValue) &&
+      !Object.keys(newValue)
+        .concat(Object.keys(currentValue))
+        .some((k) => k.includes("."))
+    ) {
+      const nested = diffFrontmatter(currentValue, newValue, path + ".");
+      Object.assign(newValues, nested.newValues);
+      removeKeys.push(...nested.removeKeys);
+    } else if (!sameValue(newValue, currentValue)) {
+      newValues[path] = newValue;
+    }
+  }
+
+  for (const key of Object.keys(original)) {
+    if (!Object.prototype.hasOwnProperty.call(updated, key)) {
+      removeKeys.push(prefix + key);
+    }
+  }
+
+  return { newValues, removeKeys };
+}
+
+// Frontmatter values compare by their text, since YAML reads `3` as a number
+// while rule values are strings. Lists compare order-insensitively.
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return (
+      a.length === b.length &&
+      a.every((val) => includesValue(b, val)) &&
+      b.every((val) => includesValue(a, val))
+    );
+  }
+  if (Array.isArray(a) || Array.isArray(b)) return false;
+  if (isPlainObject(a) || isPlainObject(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  if (a === undefined || b === undefined) return a === b;
+  if (scalarText(a) === scalarText(b)) return true;
+  // "Auto" text is written unquoted, so "02134" reads back as 2134
+  if (typeof a === typeof b) return false;
+  const resolve = (val) =>
+    typeof val === "string" ? resolveYamlScalar(val) : val;
+  return resolve(a) === resolve(b);
+}
+
+function includesValue(list, val) {
+  return list.some((item) => sameValue(item, val));
+}
+
+function scalarText(val) {
+  return val == null ? "" : String(val);
+}
+
+function toArray(val) {
+  if (val == null) return [];
+  if (Array.isArray(val)) {
+    return val.filter(
+      (item) =>
+        item !== null && item !== undefined && String(item).trim() !== "",
+    );
+  }
+  const stringVal = String(val).trim();
+  return stringVal !== "" ? [stringVal] : [];
+}
+
+/* ----------------------------- Rule sets ----------------------------- */
+
+// Read a rule set ({ rules, routes }) from JSON, YAML or a markdown note's
+// frontmatter. A bare list is taken as the rules. Throws on invalid input.
+function parseRuleSet(text, format) {
+  let data;
+  if (format === "json") {
+    data = JSON.parse(text);
+  } else if (format === "md") {
+    data = parseFrontmatter(text).frontmatter;
+  } else if (format === "yaml" || format === "yml") {
+    data = parseYaml(text);
+  } else {
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      data = parseYaml(text);
+    }
+  }
+
+  if (Array.isArray(data)) data = { rules: data };
+  if (!isPlainObject(data) || !Array.isArray(data.rules)) {
+    throw new Error("expected a list of rules or a 'rules' key");
+  }
+  for (const rule of data.rules) {
+    if (!isPlainObject(rule) || typeof rule.folder !== "string") {
+      throw new Error("every rule needs a folder");
+    }
+    if (!isPlainObject(rule.frontmatter)) rule.frontmatter = {};
+    if (!rule.id) rule.id = createId();
+  }
+  if (data.routes !== undefined) {
+    if (!Array.isArray(data.routes)) throw new Error("'routes' must be a list");
+    for (const route of data.routes) {
+      if (!isPlainObject(route) || typeof route.target !== "string") {
+        throw new Error("every routing rule needs a target");
+      }
+      if (!Array.isArray(route.conditions)) route.conditions = [];
+      if (!route.id) route.id = createId();
+    }
+  }
+  return { rules: data.rules, routes: data.routes };
+}
+
+// Serialize a rule set. For a markdown note only the `rules` and `routes`
+// properties are rewritten, leaving the rest of `existing` untouched.
+function serializeRuleSet(ruleSet, format, existing = "") {
+  if (format === "json") return JSON.stringify(ruleSet, null, 2) + "\n";
+  if (format !== "md") return stringifyYaml(ruleSet);
+
+  const { hadFM, originalFMText, body, eol } = parseFrontmatter(existing);
+  const newValues = { rules: ruleSet.rules };
+  if (ruleSet.routes) newValues.routes = ruleSet.routes;
+  return (
+    modifyFrontmatterSelectively(
+      originalFMText,
+      newValues,
+      hadFM,
+      ruleSet.routes ? [] : ["routes"],
+      eol,
+      true,
+    ) + body
+  );
+}
+
+// Identity of a rule or route for duplicate detection: everything except its
+// id, with keys sorted
+function ruleSignature(rule) {
+  const sorted = (val) => {
+    if (Array.isArray(val)) return val.map(sorted);
+    if (!isPlainObject(val)) return val;
+    const out = {};
+    for (const k of Object.keys(val).sort()) {
+      if (k !== "id") out[k] = sorted(val[k]);
+    }
+    return out;
+  };
+  return JSON.stringify(sorted(rule));
+}
+
+/* ------------------------------- YAML -------------------------------- */
+
+// A small YAML reader/editor for frontmatter. It understands block and flow
+// collections, nested maps, quoted and block scalars and comments, and keeps
+// the line span of every entry so edits only rewrite the entries they touch.
+// Avoids external YAML to keep it mobile-friendly.
+
+const FRONTMATTER_RE =
+  /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+function parseFrontmatter(text) {
+  const eolMatch = text.match(/\r?\n/);
+  const eol = eolMatch ? eolMatch[0] : "\n";
+  const fmMatch = text.match(FRONTMATTER_RE);
+  if (!fmMatch) {
+    return {
+      frontmatter: {},
+      body: text,
+      hadFM: false,
+      originalFMText: "",
+      eol,
+    };
+  }
+  const body = text.slice(fmMatch[0].length);
+  const originalFMText = fmMatch[0];
+  const lines = fmMatch[1] === undefined ? [] : fmMatch[1].split(/\r?\n/);
+  const frontmatter = parseYamlLines(lines).value;
+  return { frontmatter, body, hadFM: true, originalFMText, eol };
+}
+
+// Parse YAML text into a plain value (used for rule files and folder notes)
+function parseYaml(text) {
+  // The final line break ends the last line rather than adding a blank one
+  return parseYamlLines(text.replace(/\r?\n$/, "").split(/\r?\n/)).value;
+}
+
+function parseYamlLines(lines) {
+  const infos = lines.map(lineInfo);
+  const start = infos.findIndex((l) => !l.blank && !l.comment);
+  if (start === -1) return { type: "map", entries: [], value: {}, end: 0 };
+  return parseYamlBlock(infos, start, infos.length, infos[start].indent);
+}
+
+function lineInfo(text) {
+  const content = text.replace(/^[ \t]+/, "");
+  return {
+    text,
+    indent: text.length - content.length,
+    content,
+    blank: content.trim() === "",
+    comment: content.startsWith("#"),
+  };
+}
+
+function isSeqItem(content) {
+  return content === "-" || content.startsWith("- ");
+}
+
+// Parse the lines in [start, end) as a map or a sequence at `indent`
+function parseYamlBlock(lines, start, end, indent) {
+  const first = lines[start];
+  if (isSeqItem(first.content)) return parseYamlSeq(lines, start, end, indent);
+  if (splitYamlKey(first.content)) {
+    return parseYamlMap(lines, start, end, indent);
+  }
+  // Multi-line plain scalar
+  const text = lines
+    .slice(start, end)
+    .filter((l) => !l.blank)
+    .map((l) => l.content.trim())
+    .join(" ");
+  return { type: "scalar", value: resolveYamlScalar(stripYamlComment(text)) };
+}
+
+// Index just past the last line owned by the entry or item on line `i`
+function findYamlBlockEnd(lines, i, end, indent, allowSameIndentSeq) {
+  let j = i + 1;
+  while (j < end) {
+    const l = lines[j];
+    if (
+      l.blank ||
+      l.indent > indent ||
+      (l.comment && l.indent <= indent) ||
+      (allowSameIndentSeq && l.indent === indent && isSeqItem(l.content))
+    ) {
+      j++;
+    } else {
+      break;
+    }
+  }
+  // Trailing blank lines and outdented comments belong to what follows
+  while (
+    j > i + 1 &&
+    (lines[j - 1].blank ||
+      (lines[j - 1].comment && lines[j - 1].indent <= indent))
+  ) {
+    j--;
+  }
+  return j;
+}
+
+function parseYamlMap(lines, start, end, indent) {
+  const entries = [];
+  const value = {};
+  let i = start;
+  let last = start;
+  while (i < end) {
+    const line = lines[i];
+    if (line.blank || line.comment || line.indent !== indent) {
+      i++;
+      continue;
+    }
+    const split = splitYamlKey(line.content);
+    if (!split) {
+      i++;
+      continue;
+    }
+    const rest = stripYamlComment(split.rest);
+    const blockEnd = findYamlBlockEnd(lines, i, end, indent, rest.text === "");
+    const node = parseYamlValue(rest, lines, i + 1, blockEnd, indent);
+    entries.push({
+      key: split.key,
+      rawKey: split.rawKey,
+      line: i,
+      end: blockEnd,
+      indent,
+      comment: rest.comment,
+      node,
+    });
+    value[split.key] = node.value;
+    last = blockEnd;
+    i = blockEnd;
+  }
+  return { type: "map", entries, value, indent, end: last };
+}
+
+function parseYamlSeq(lines, start, end, indent) {
+  const items = [];
+  const value = [];
+  let i = start;
+  while (i < end) {
+    const line = lines[i];
+    if (line.blank || line.comment) {
+      i++;
+      continue;
+    }
+    if (line.indent !== indent || !isSeqItem(line.content)) break;
+    const blockEnd = findYamlBlockEnd(lines, i, end, indent, false);
+    const rest = line.content.slice(1);
+    const restContent = rest.replace(/^[ \t]+/, "");
+    let node;
+    if (splitYamlKey(restContent) && !/^["'[{]/.test(restContent)) {
+      // "- key: value" starts a map; re-read the item line without its dash
+      const itemIndent = line.indent + 1 + (rest.length - restContent.length);
+      const itemLines = lines.slice();
+      itemLines[i] = lineInfo(" ".repeat(itemIndent) + restContent);
+      node = parseYamlMap(itemLines, i, blockEnd, itemIndent);
+    } else {
+      node = parseYamlValue(
+        stripYamlComment(restContent),
+        lines,
+        i + 1,
+        blockEnd,
+        indent,
+      );
+    }
+    items.push({ line: i, end: blockEnd, node });
+    value.push(node.value);
+    i = blockEnd;
+  }
+  return { type: "seq", items, value, indent, end: i };
+}
+
+// Parse the value that follows "key:" (or "- ") given the child lines
+function parseYamlValue(rest, lines, childStart, childEnd, parentIndent) {
+  const text = rest.text;
+  const children = [];
+  for (let i = childStart; i < childEnd; i++) children.push(lines[i]);
+  const firstChild = children.find((l) => !l.blank && !l.comment);
+
+  if (text === "") {
+    if (!firstChild) return { type: "empty", value: null };
+    const start = lines.indexOf(firstChild, childStart);
+    const node = parseYamlBlock(lines, start, childEnd, firstChild.indent);
+    if (node.type === "seq") node.seqIndent = firstChild.indent - parentIndent;
+    return node;
+  }
+
+  if (text[0] === "|" || text[0] === ">") {
+    // Trailing blank lines are left out of the block's range, but "keep"
+    // chomping (|+ or >+) makes them part of the value
+    if (text.includes("+")) {
+      for (let i = childEnd; i < lines.length && lines[i].blank; i++) {
+        children.push(lines[i]);
+      }
+    }
+    return {
+      type: "block",
+      value: parseBlockScalar(text, children, parentIndent),
+    };
+  }
+
+  const joined = [text]
+    .concat(children.filter((l) => !l.blank).map((l) => l.content.trim()))
+    .join(" ");
+
+  if (text[0] === "[" || text[0] === "{") {
+    const parsed = parseFlowValue(joined, 0);
+    return { type: "flow", value: parsed ? parsed.value : joined };
+  }
+
+  if (text[0] === '"' || text[0] === "'") {
+    const parsed = parseQuotedScalar(joined, 0);
+    return { type: "scalar", value: parsed ? parsed.value : joined };
+  }
+
+  return {
+    type: "scalar",
+    value: resolveYamlScalar(stripYamlComment(joined).text),
+  };
+}
+
+function parseBlockScalar(header, lines, parentIndent) {
+  const literal = header[0] === "|";
+  const chomp = header.includes("-")
+    ? "strip"
+    : header.includes("+")
+      ? "keep"
+      : "clip";
+  const explicit = header.match(/\d/);
+  const firstText = lines.find((l) => !l.blank);
+  const blockIndent = explicit
+    ? parentIndent + Number(explicit[0])
+    : firstText
+      ? firstText.indent
+      : parentIndent + 2;
+  const texts = lines.map((l) => (l.blank ? "" : l.text.slice(blockIndent)));
+
+  let out;
+  if (literal) {
+    out = texts.join("\n");
+  } else {
+    out = "";
+    texts.forEach((t, i) => {
+      if (t === "") out += "\n";
+      else out += (i > 0 && texts[i - 1] !== "" ? " " : "") + t;
+    });
+  }
+  out = out.replace(/\n+$/, "");
+  if (chomp === "clip") return out + "\n";
+  if (chomp === "keep") {
+    // The last line's break plus every trailing blank line
+    const blankLines = lines.length - lines.findLastIndex((l) => !l.blank) - 1;
+    return out + "\n".repeat(out === "" ? blankLines : blankLines + 1);
+  }
+  return out;
+}
+
+// Split "key: rest" into its key and the text after the colon
+function splitYamlKey(content) {
+  if (content.startsWith("#") || isSeqItem(content)) return null;
+  let key;
+  let pos;
+  if (content[0] === '"' || content[0] === "'") {
+    const parsed = parseQuotedScalar(content, 0);
+    if (!parsed) return null;
+    key = parsed.value;
+    pos = parsed.pos;
+    while (content[pos] === " " || content[pos] === "\t") pos++;
+    if (content[pos] !== ":") return null;
+  } else {
+    const m = content.match(/^([^#\s][^:]*?|[^#\s]?):(?=[ \t]|$)/);
+    if (!m || m[1].trim() === "") return null;
+    key = m[1].trim();
+    pos = m[1].length;
+  }
+  return {
+    key,
+    rawKey: content.slice(0, pos).trimEnd(),
+    rest: content.slice(pos + 1).trim(),
+  };
+}
+
+// Separate a trailing " # comment" from a value, respecting quotes and brackets
+function stripYamlComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === "\\" && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      if (i === 0 || /[\s[{,:]/.test(text[i - 1])) quote = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return { text: text.slice(0, i).trim(), comment: text.slice(i) };
+    }
+  }
+  return { text: text.trim(), comment: "" };
+}
+
+const YAML_ESCAPES = {
+  n: "\n",
+  t: "\t",
+  r: "\r",
+  0: "\0",
+  '"': '"',
+  "\\": "\\",
+  "/": "/",
+  " ": " ",
+};
+
+function parseQuotedScalar(text, pos) {
+  const quote = text[pos];
+  let out = "";
+  let i = pos + 1;
+  while (i < text.length) {
+    const c = text[i];
+    if (quote === "'" && c === "'") {
+      if (text[i + 1] === "'") {
+        out += "'";
+        i += 2;
+        continue;
+      }
+      return { value: out, pos: i + 1 };
+    }
+    if (quote === '"' && c === '"') return { value: out, pos: i + 1 };
+    if (quote === '"' && c === "\\") {
+      const next = text[i + 1];
+      if (next === "u" || next === "x") {
+        const len = next === "u" ? 4 : 2;
+        out += String.fromCharCode(parseInt(text.substr(i + 2, len), 16));
+        i += 2 + len;
+      } else {
+        out += YAML_ESCAPES[next] !== undefined ? YAML_ESCAPES[next] : next;
+        i += 2;
+      }
+      continue;
+    }
+    out += c;
+    i++;
+  }
+  return null;
+}
+
+// Parse a flow collection or scalar starting at `pos`
+function parseFlowValue(text, pos) {
+  while (text[pos] === " " || text[pos] === "\t") pos++;
+  const c = text[pos];
+
+  if (c === "[" || c === "{") {
+    const isSeq = c === "[";
+    const close = isSeq ? "]" : "}";
+    const value = isSeq ? [] : {};
+    pos++;
+    for (;;) {
+      while (/[\s,]/.test(text[pos] || "")) pos++;
+      if (pos >= text.length) return null;
+      if (text[pos] === close) return { value, pos: pos + 1 };
+
+      const item = parseFlowValue(text, pos);
+      if (!item || item.pos === pos) return null;
+      pos = item.pos;
+      while (text[pos] === " " || text[pos] === "\t") pos++;
+
+      if (text[pos] === ":" && !isSeq) {
+        const val = parseFlowValue(text, pos + 1);
+        if (!val) return null;
+        value[String(item.value)] = val.value;
+        pos = val.pos;
+      } else if (isSeq) {
+        value.push(item.value);
+      } else {
+        value[String(item.value)] = null;
+      }
+    }
+  }
+
+  if (c === '"' || c === "'") return parseQuotedScalar(text, pos);
+
+  // Plain scalar: runs until a flow indicator or ": "
+  let end = pos;
+  while (
+    end < text.length &&
+    !/[,\][{}]/.test(text[end]) &&
+    !(text[end] === ":" && /[\s,\]}]|^$/.test(text[end + 1] || ""))
+  ) {
+    end++;
+  }
+  return { value: resolveYamlScalar(text.slice(pos, end).trim()), pos: end };
+}
+
+// Resolve a plain scalar to null, boolean, number or string
+function resolveYamlScalar(str) {
+  if (str === "" || /^(~|null|Null|NULL)$/.test(str)) return null;
+  if (/^(true|True|TRUE)$/.test(str)) return true;
+  if (/^(false|False|FALSE)$/.test(str)) return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(str)) return Number(str);
+  return str;
+}
+
+// Dotted keys such as "project.status" address nested maps, unless the
+// frontmatter already has a top-level key with that literal name.
+function resolveKeyPath(frontmatter, key) {
+  if (
+    !key.includes(".") ||
+    (frontmatter && Object.prototype.hasOwnProperty.call(frontmatter, key))
+  ) {
+    return [key];
+  }
+  return key.split(".");
+}
+
+function getFrontmatterValue(frontmatter, key) {
+  let cur = frontmatter;
+  for (const seg of resolveKeyPath(frontmatter, key)) {
+    if (
+      !isPlainObject(cur) ||
+      !Object.prototype.hasOwnProperty.call(cur, seg)
+    ) {
+      return undefined;
+    }
+    cur = cur[seg];
+  }
+  return cur;
+}
+
+function setFrontmatterValue(frontmatter, key, value) {
+  const path = resolveKeyPath(frontmatter, key);
+  let cur = frontmatter;
+  for (const seg of path.slice(0, -1)) {
+    if (!isPlainObject(cur[seg])) cur[seg] = {};
+    cur = cur[seg];
+  }
+  cur[path[path.length - 1]] = value;
+}
+
+function deleteFrontmatterValue(frontmatter, key) {
+  const path = resolveKeyPath(frontmatter, key);
+  let cur = frontmatter;
+  for (const seg of path.slice(0, -1)) {
+    if (!isPlainObject(cur[seg])) return;
+    cur = cur[seg];
+  }
+  delete cur[path[path.length - 1]];
+}
+
+function hasFrontmatterValue(frontmatter, key) {
+  return getFrontmatterValue(frontmatter, key) !== undefined;
+}
+
+function isPlainObject(val) {
+  return val !== null && typeof val === "object" && !Array.isArray(val);
+}
+
+// Surgically modify only specified keys in frontmatter, preserving original
+// formatting (comments, key order, list style, line endings) for everything
+// else. Keys may be dotted paths into nested maps; keys listed in
+// `removeKeys` are dropped together with their nested lines. With `strict`
+// (true, or a function telling it per key), written strings are quoted
+// wherever YAML would read them as another type.
+function modifyFrontmatterSelectively(
+  originalFMText,
+  newValues,
+  hadFM,
+  removeKeys = [],
+  eol = "\n",
+  strict = false,
+) {
+  let open = "---";
+  let close = "---";
+  let lines = [];
+  if (hadFM) {
+    const eolMatch = originalFMText.match(/\r?\n/);
+    eol = eolMatch ? eolMatch[0] : eol;
+    lines = originalFMText.replace(/\r?\n$/, "").split(/\r?\n/);
+    open = lines.shift();
+    close = lines.pop();
+  }
+
+  for (const key of removeKeys) {
+    lines = deleteYamlValue(lines, resolveYamlKeyPath(lines, key));
+  }
+  for (const [key, value] of Object.entries(newValues)) {
+    lines = setYamlValue(
+      lines,
+      resolveYamlKeyPath(lines, key),
+      value,
+      typeof strict === "function" ? strict(key) : strict,
+    );
+  }
+
+  return [open].concat(lines, [close]).join(eol) + eol;
+}
+
+function resolveYamlKeyPath(lines, key) {
+  if (!key.includes(".")) return [key];
+  return resolveKeyPath(parseYamlLines(lines).value, key);
+}
+
+// Find the entry for `path`; returns the deepest map reached and the entry
+function findYamlEntry(lines, path) {
+  let map = parseYamlLines(lines);
+  let parentIndent = -2;
+  for (let depth = 0; depth < path.length; depth++) {
+    const entry =
+      map.type === "map" ? map.entries.find((e) => e.key === path[depth]) : null;
+    if (!entry) return { map, depth, parentIndent, entry: null };
+    if (depth === path.length - 1 || entry.node.type !== "map") {
+      return { map, depth, parentIndent, entry };
+    }
+    parentIndent = entry.indent;
+    map = entry.node;
+  }
+  return null;
+}
+
+// Rename top-level keys ({ oldKey: newKey }) in a frontmatter block, leaving
+// their values, comments and position untouched
+function renameYamlKeys(fmText, renames) {
+  if (Object.keys(renames).length === 0) return fmText;
+  const eol = (fmText.match(/\r?\n/) || ["\n"])[0];
+  const lines = fmText.replace(/\r?\n$/, "").split(/\r?\n/);
+  const open = lines.shift();
+  const close = lines.pop();
+  for (const [oldKey, newKey] of Object.entries(renames)) {
+    const { entry } = findYamlEntry(lines, [oldKey]);
+    if (!entry) continue;
+    const line = lines[entry.line];
+    lines[entry.line] =
+      line.slice(0, entry.indent) +
+      formatYamlKey(newKey) +
+      line.slice(entry.indent + entry.rawKey.length);
+  }
+  return [open].concat(lines, [close]).join(eol) + eol;
+}
+
+function setYamlValue(lines, path, value, strict = false) {
+  const { map, depth, parentIndent, entry } = findYamlEntry(lines, path);
+
+  // Build the value for the part of the path that does not exist yet
+  let nested = value;
+  for (let i = path.length - 1; i > depth; i--) nested = { [path[i]]: nested };
+
+  if (entry) {
+    // Keep the list style of the value being replaced
+    const node = entry.node;
+    const isLeaf = depth === path.length - 1;
+    const newLines = formatFrontmatterLine(entry.rawKey, nested, {
+      indent: entry.indent,
+      listStyle: isLeaf && node.type === "seq" ? "block" : undefined,
+      seqIndent: node.seqIndent,
+      rawKey: true,
+      strict,
+    }).split("\n");
+    if (entry.comment) newLines[0] += " " + entry.comment;
+    return lines.slice(0, entry.line).concat(newLines, lines.slice(entry.end));
+  }
+
+  // New key: append it to the map it belongs to
+  const indent =
+    map.type === "map" && map.entries.length > 0
+      ? map.entries[0].indent
+      : parentIndent + 2;
+  const insertAt = depth === 0 ? lines.length : map.end;
+  const newLines = formatFrontmatterLine(path[depth], nested, {
+    indent,
+    strict,
+  }).split("\n");
+  return lines.slice(0, insertAt).concat(newLines, lines.slice(insertAt));
+}
+
+function deleteYamlValue(lines, path) {
+  const found = findYamlEntry(lines, path);
+  if (!found || !found.entry || found.depth !== path.length - 1) return lines;
+  return lines
+    .slice(0, found.entry.line)
+    .concat(lines.slice(found.entry.end));
+}
+
+// Format a single frontmatter key-value pair (nested maps and block lists
+// span several lines, joined with "\n"). With `options.strict`, strings that
+// plain YAML would read as numbers, booleans or null are quoted.
+function formatFrontmatterLine(key, value, options = {}) {
+  const pad = " ".repeat(options.indent || 0);
+  const keyText = options.rawKey ? key : formatYamlKey(key);
+
+  if (Array.isArray(value)) {
+    const filteredArray = value.filter(
+      (item) =>
+        item !== null && item !== undefined && String(item).trim() !== "",
+    );
+    // Lists of maps (e.g. rule sets) are always written in block style
+    const hasMaps = filteredArray.some((item) => isPlainObject(item));
+    if ((options.listStyle === "block" || hasMaps) && filteredArray.length > 0) {
+      const itemIndent = (options.indent || 0) + (options.seqIndent || 0);
+      return [`${pad}${keyText}:`]
+        .concat(
+          filteredArray.map((item) =>
+            formatYamlItem(item, itemIndent, options.strict),
+          ),
+        )
+        .join("\n");
+    }
+    return `${pad}${keyText}: [${filteredArray
+      .map((item) => formatYamlScalar(item, true, options.strict))
+      .join(", ")}]`;
+  }
+
+  if (isPlainObject(value)) {
+    const childIndent = (options.indent || 0) + 2;
+    const entries = Object.entries(value);
+    if (entries.length === 0) return `${pad}${keyText}: {}`;
+    return [`${pad}${keyText}:`]
+      .concat(
+        entries.map(([k, v]) =>
+          formatFrontmatterLine(k, v, {
+            indent: childIndent,
+            strict: options.strict,
+          }),
+        ),
+      )
+      .join("\n");
+  }
+
+  if (value === null || value === undefined) return `${pad}${keyText}:`;
+
+  if (typeof value === "string" && value.includes("\n")) {
+    const header = value.endsWith("\n") ? "|" : "|-";
+    const bodyPad = pad + "  ";
+    return [`${pad}${keyText}: ${header}`]
+      .concat(
+        value
+          .replace(/\n$/, "")
+          .split("\n")
+          .map((l) => (l ? bodyPad + l : "")),
+      )
+      .join("\n");
+  }
+
+  return `${pad}${keyText}: ${formatYamlScalar(value, false, options.strict)}`;
+}
+
+// Format one "- item" of a block list at `indent`; maps continue on the
+// following lines aligned with their first key
+function formatYamlItem(item, indent, strict) {
+  const pad = " ".repeat(indent);
+  if (isPlainObject(item) && Object.keys(item).length > 0) {
+    const lines = Object.entries(item)
+      .map(([k, v]) =>
+        formatFrontmatterLine(k, v, { indent: indent + 2, strict }),
+      )
+      .join("\n");
+    return pad + "- " + lines.slice(indent + 2);
+  }
+  if (isPlainObject(item)) return `${pad}- {}`;
+  if (Array.isArray(item)) {
+    const items = item.map((v) => formatYamlScalar(v, true, strict));
+    return `${pad}- [${items.join(", ")}]`;
+  }
+  return `${pad}- ${formatYamlScalar(item, false, strict)}`;
+}
+
+// Serialize a map to YAML text, keeping every string a string
+function stringifyYaml(obj) {
+  return (
+    Object.entries(obj)
+      .map(([k, v]) => formatFrontmatterLine(k, v, { strict: true }))
+      .join("\n") + "\n"
+  );
+}
+
+function formatYamlKey(key) {
+  return /^[^\s#'"[\]{},&*!|>%@`-][^:#]*$/.test(key) && !/\s$/.test(key)
+    ? key
+    : JSON.stringify(key);
+}
+
+// Quote a scalar only when plain YAML would misread it. Inside a flow list
+// commas and brackets need quoting too; with `strict`, so do strings that
+// would be read back as another type.
+function formatYamlScalar(value, inFlow = false, strict = false) {
+  if (value === null || value === undefined) return inFlow ? "null" : "";
+  if (typeof value !== "string") return String(value);
+  const str = value;
+  const needsQuote =
+    str === "" ||
+    (strict && resolveYamlScalar(str) !== str) ||
+    /^\s|\s$/.test(str) || // leading/trailing spaces
+    /[\n\t]/.test(str) || // contains newlines or tabs
+    /^[[\]{}#&*!|>'"%@`]/.test(str) || // starts with an indicator character
+    /^[-?:](\s|$)/.test(str) ||
+    / #/.test(str) ||
+    (inFlow && /[,[\]{}]/.test(str)) ||
+    (str.includes(":") &&
+      !/^\d{4}-\d{2}-\d{2}([ T]\d{1,2}:\d{2}(:\d{2})?)?$/.test(str)); // has colon but isn't a date/time
+  return needsQuote ? JSON.stringify(str) : str;
+}
+
+function stringifyFrontmatter(obj) {
+  const lines = ["---"];
+  for (const [k, v] of Object.entries(obj)) {
+    if (Array.isArray(v)) {
+      // Filter out empty values from array
+      const filteredArray = v.filter(
+        (item) =>
+          item !== null && item !== undefined && String(item).trim() !== "",
+      );
+      lines.push(`${k}: [${filteredArray.join(", ")}]`);
+    } else {
+      // quote if starts with '[', contains newlines, or has leading/trailing spaces
+      // but don't quote common date/time formats or simple values with colons
+      const str = String(v);
+      const needsQuote =
+        /^\s|\s$/.test(str) || // leading/trailing spaces
+        /\n/.test(str) || // contains newlines
+        str.startsWith("[") || // starts with bracket
+        (str.includes(":") &&
+          !/^\d{4}-\d{2}-\d{2}(\s+\d{1,2}:\d{2}(:\d{2})?)?$/.test(str)); // has colon but isn't a date/time
+      lines.push(`${k}: ${needsQuote ? `"${String(v)}"` : v}`);
+    }
+  }
+  lines.push("---");
+  return lines.join("\n") + "\n";
+}
+
+/* ----------------------------- helpers ----------------------------- */
+
+function deepClone(x) {
+  return JSON.parse(JSON.stringify(x));
+}
+
+function createId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// Line diff (longest common subsequence) of two texts.
+// Returns [{ type: " " | "+" | "-", text }].
+function diffLines(before, after) {
+  const a = before ? before.replace(/\r?\n$/, "").split(/\r?\n/) : [];
+  const b = after ? after.replace(/\r?\n$/, "").split(/\r?\n/) : [];
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      out.push({ type: " ", text: a[i] });
+      i++;
+      j++;
+    } else if (
+      i < a.length &&
+      (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      out.push({ type: "-", text: a[i++] });
+    } else {
+      out.push({ type: "+", text: b[j++] });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  configureEngine,
+  isRuleActive,
+  isIgnoredPath,
+  findRuleMatches,
+  getLiveRule,
+  findFolderNoteRules,
+  createFolderNoteRule,
+  findRuleConflicts,
+  planNoteUpdate,
+  MATCH_MODES,
+  getParentPath,
+  compileRegExp,
+  CONDITION_TYPES,
+  PROPERTY_OPERATORS,
+  TRIGGERS,
+  getConditionContext,
+  conditionsMet,
+  ruleNeedsBody,
+  computeRuleUpdate,
+  findDecidingRule,
+  isEmptyUpdate,
+  MIGRATION_ACTIONS,
+  VALUE_TRANSFORMS,
+  BODY_POSITIONS,
+  OPT_OUT_KEY,
+  isOptedOut,
+  renameFolderReference,
+  isPathInFolder,
+  getFixedFolderPrefix,
+  MERGE_STRATEGIES,
+  isEmptyValue,
+  FIELD_TYPES,
+  coerceFieldValue,
+  getTemplateVars,
+  renderTemplate,
+  scalarText,
+  toArray,
+  parseRuleSet,
+  serializeRuleSet,
+  ruleSignature,
+  parseFrontmatter,
+  getFrontmatterValue,
+  hasFrontmatterValue,
+  isPlainObject,
+  deepClone,
+  createId,
+  diffLines,
+};
@@ -1,35 +1,199 @@
 const {
   Plugin,
   TFile,
+  TFolder,
   Modal,
+  FuzzySuggestModal,
+  normalizePath,
   Setting,
   Notice,
   TextComponent,
   ButtonComponent,
   PluginSettingTab,
+  ItemView,
+  debounce,
+  moment,
 } = require("obsidian");
 
+// Matching, merging, planning, rule sets and YAML; shared with cli.js
+const {
+  configureEngine,
+  isRuleActive,
+  isIgnoredPath,
+  findRuleMatches,
+  getLiveRule,
+  findFolderNoteRules,
+  createFolderNoteRule,
+  findRuleConflicts,
+  planNoteUpdate,
+  MATCH_MODES,
+  getParentPath,
+  compileRegExp,
+  CONDITION_TYPES,
+  PROPERTY_OPERATORS,
+  TRIGGERS,
+  getConditionContext,
+  conditionsMet,
+  ruleNeedsBody,
+  computeRuleUpdate,
+  findDecidingRule,
+  isEmptyUpdate,
+  MIGRATION_ACTIONS,
+  VALUE_TRANSFORMS,
+  BODY_POSITIONS,
+  OPT_OUT_KEY,
+  isOptedOut,
+  renameFolderReference,
+  isPathInFolder,
+  getFixedFolderPrefix,
+  MERGE_STRATEGIES,
+  isEmptyValue,
+  FIELD_TYPES,
+  coerceFieldValue,
+  getTemplateVars,
+  renderTemplate,
+  scalarText,
+  toArray,
+  parseRuleSet,
+  serializeRuleSet,
+  ruleSignature,
+  parseFrontmatter,
+  getFrontmatterValue,
+  hasFrontmatterValue,
+  isPlainObject,
+  deepClone,
+  createId,
+  diffLines,
+} = require("./engine");
+
+const VIEW_TYPE_JOURNAL = "hot-folder-journal";
+const VIEW_TYPE_COMPLIANCE = "hot-folder-compliance";
+
+// Bulk runs yield to the UI after this many files
+const BULK_BATCH_SIZE = 25;
+
+// Modify events for a path this soon after our own write are ours
+const OWN_WRITE_WINDOW = 2000;
+
+// Loop protection: a note rewritten by rules this often in this window is
+// left alone until it settles
+const LOOP_LIMIT = 3;
+const LOOP_WINDOW = 10000;
+
 class AutoFrontmatterPlugin extends Plugin {
   async onload() {
-    this.DEFAULT_SETTINGS = { rules: [] };
+    configureEngine({ moment });
+    this.DEFAULT_SETTINGS = {
+      rules: [],
+      listKeys: ["tags", "tag", "keywords"],
+      journalLimit: 500,
+      eventDelay: 500,
+      liveDelay: 3000,
+      onlySessionNotes: false,
+      routes: [],
+      routeOnChange: true,
+      rulesFile: "",
+      ignorePaths: [],
+      confirmFolderRenames: false,
+      disabledGroups: [],
+      folderNotes: true,
+    };
     await this.loadSettings();
 
-    // Apply on file moves/renames and new file creation
-    this.registerEvent(
-      this.app.vault.on("rename", async (file, oldPath) => {
-        if (file instanceof TFile && file.extension === "md") {
-          await this.applyRules(file);
-        }
-      }),
-    );
-    this.registerEvent(
-      this.app.vault.on("create", async (file) => {
-        if (file instanceof TFile && file.extension === "md") {
-          await this.applyRules(file);
-        }
-      }),
+    // Rules other plugins register through the API; never saved
+    this.runtimeRules = [];
+    // Rules read from folder notes, by note path
+    this.folderRuleCache = new Map();
+    this.api = createApi(this);
+
+    // Journal writes are batched so bulk runs don't save once per file
+    this.requestSaveJournal = debounce(() => this.saveSettings(), 1000, true);
+    // Edits to the rules file are picked up once typing pauses
+    this.requestLoadRulesFile = debounce(() => this.loadRulesFile(), 1000, true);
+
+    this.registerView(VIEW_TYPE_JOURNAL, (leaf) => new JournalView(leaf, this));
+    this.registerView(
+      VIEW_TYPE_COMPLIANCE,
+      (leaf) => new ComplianceView(leaf, this),
     );
 
+    // Event-driven applications wait in a per-path queue until the note
+    // has stopped changing
+    this.pending = new Map();
+    this.routeTimers = new Map();
+    this.liveTimers = new Map();
+    // Folder renames waiting for confirmation, and the moves they hold back
+    this.heldFolders = new Set();
+    this.heldEntries = [];
+    this.ownWrites = new Map();
+    this.applyHistory = new Map();
+
+    // Listeners are registered once the workspace is ready, so the files
+    // Obsidian indexes at startup don't each trigger a rewrite
+    this.app.workspace.onLayoutReady(async () => {
+      this.readyTime = Date.now();
+
+      // Rules kept in a vault file replace the ones from plugin data
+      await this.loadRulesFile();
+
+      // Apply on file moves/renames and new file creation
+      this.registerEvent(
+        this.app.vault.on("rename", (file, oldPath) => {
+          if (file instanceof TFile && file.extension === "md") {
+            this.queueRules(file, { oldPath, trigger: "move" });
+          } else if (file instanceof TFolder) {
+            this.handleFolderRename(file, oldPath);
+          }
+        }),
+      );
+      this.registerEvent(
+        this.app.vault.on("create", (file) => {
+          if (
+            file instanceof TFile &&
+            file.extension === "md" &&
+            this.isSessionNote(file)
+          ) {
+            this.queueRules(file, { trigger: "create" });
+          }
+        }),
+      );
+
+      // Route notes to another folder when their properties change
+      this.registerEvent(
+        this.app.metadataCache.on("changed", (file) => {
+          if (this.settings.routeOnChange && file.extension === "md") {
+            this.queueRoute(file);
+          }
+        }),
+      );
+
+      // Writes by the user, sync or other plugins push queued work back
+      this.registerEvent(
+        this.app.vault.on("modify", (file) => {
+          if (this.isOwnWrite(file.path)) return;
+          if (this.isRulesFile(file.path)) {
+            this.requestLoadRulesFile();
+            return;
+          }
+          const entry = this.pending.get(file.path);
+          if (entry) this.scheduleQueued(entry);
+          else if (file instanceof TFile && file.extension === "md") {
+            this.queueLiveUpdate(file);
+          }
+        }),
+      );
+      this.registerEvent(
+        this.app.vault.on("delete", (file) => {
+          if (file instanceof TFolder) this.handleFolderDelete(file);
+          const entry = this.pending.get(file.path);
+          if (entry) {
+            clearTimeout(entry.timer);
+            this.pending.delete(file.path);
+          }
+        }),
+      );
+    });
+
     // Optional command: apply to current file manually
     this.addCommand({
       id: "auto-fm-apply-current",
@@ -37,7 +201,7 @@ class AutoFrontmatterPlugin extends Plugin {
       callback: async () => {
         const file = this.app.workspace.getActiveFile();
         if (file && file.extension === "md") {
-          await this.applyRules(file);
+          await this.applyRules(file, { trigger: "manual" });
           new Notice("Auto Frontmatter: rules applied to current file.");
         } else {
           new Notice("No markdown file active.");
@@ -45,398 +209,1469 @@ class AutoFrontmatterPlugin extends Plugin {
       },
     });
 
-    // Optional command: apply to all files (can be heavy on big vaults)
+    // Optional command: apply to all files (can be heavy on big vaults).
+    // Changes are previewed first and only written once confirmed.
     this.addCommand({
       id: "auto-fm-apply-all",
       name: "Apply rules to all markdown files",
+      callback: () => {
+        new ApplyPreviewModal(
+          this.app,
+          this,
+          this.app.vault.getMarkdownFiles(),
+        ).open();
+      },
+    });
+
+    // Same as above, limited to one folder
+    this.addCommand({
+      id: "auto-fm-apply-folder",
+      name: "Apply rules to folder…",
+      callback: () => {
+        new FolderSuggestModal(this.app, (folder) => {
+          new ApplyPreviewModal(
+            this.app,
+            this,
+            this.getFolderFiles(folder),
+          ).open();
+        }).open();
+      },
+    });
+
+    // Undo and journal commands
+    this.addCommand({
+      id: "auto-fm-undo-last",
+      name: "Undo last rule application",
       callback: async () => {
-        const files = this.app.vault.getMarkdownFiles();
-        for (const f of files) {
-          await this.applyRules(f);
+        const entry = [...this.journal].reverse().find((e) => !e.undone);
+        if (!entry) {
+          new Notice("Auto Frontmatter: nothing to undo.");
+          return;
         }
-        new Notice(`Auto Frontmatter: rules applied to ${files.length} files.`);
+        await this.undoEntries([entry]);
       },
     });
+    this.addCommand({
+      id: "auto-fm-undo-last-bulk",
+      name: "Undo last bulk run",
+      callback: async () => {
+        const last = [...this.journal]
+          .reverse()
+          .find((e) => e.trigger === "bulk" && !e.undone);
+        if (!last) {
+          new Notice("Auto Frontmatter: no bulk run to undo.");
+          return;
+        }
+        await this.undoEntries(
+          this.journal.filter((e) => e.batchId === last.batchId),
+        );
+      },
+    });
+    this.addCommand({
+      id: "auto-fm-open-journal",
+      name: "Open change journal",
+      callback: () => this.activateView(VIEW_TYPE_JOURNAL),
+    });
 
-    this.addSettingTab(new AutoFMSettingTab(this.app, this));
-  }
+    // Routing commands
+    this.addCommand({
+      id: "auto-fm-route-current",
+      name: "Route current note",
+      callback: async () => {
+        const file = this.app.workspace.getActiveFile();
+        if (!file || file.extension !== "md") {
+          new Notice("No markdown file active.");
+          return;
+        }
+        const newPath = await this.routeFile(file);
+        new Notice(
+          newPath
+            ? `Auto Frontmatter: moved note to ${newPath}.`
+            : "Auto Frontmatter: no routing rule applies to this note.",
+        );
+      },
+    });
+    this.addCommand({
+      id: "auto-fm-route-all",
+      name: "Route all notes",
+      callback: async () => {
+        let moved = 0;
+        for (const file of this.app.vault.getMarkdownFiles()) {
+          try {
+            if (await this.routeFile(file)) moved++;
+          } catch (e) {
+            console.error(`Hot Folder: failed to route ${file.path}`, e);
+          }
+        }
+        new Notice(`Auto Frontmatter: moved ${moved} notes.`);
+      },
+    });
 
-  onunload() {}
+    this.addCommand({
+      id: "auto-fm-open-compliance",
+      name: "Open compliance report",
+      callback: () => this.activateView(VIEW_TYPE_COMPLIANCE),
+    });
 
-  async loadSettings() {
-    const saved = await this.loadData();
-    this.settings = Object.assign({}, this.DEFAULT_SETTINGS, saved);
-    if (!Array.isArray(this.settings.rules)) this.settings.rules = [];
+    // Rule groups can be switched on and off together
+    this.addCommand({
+      id: "auto-fm-toggle-group",
+      name: "Toggle rule group…",
+      callback: () => {
+        const groups = this.getRuleGroups();
+        if (groups.length === 0) {
+          new Notice("Auto Frontmatter: no rule groups defined.");
+          return;
+        }
+        new GroupSuggestModal(this.app, this, (group) =>
+          this.toggleGroup(group),
+        ).open();
+      },
+    });
+    this.groupCommands = new Set();
+    this.registerGroupCommands();
+
+    this.addCommand({
+      id: "auto-fm-export-rules",
+      name: "Export rules",
+      callback: () => new ExportRulesModal(this.app, this).open(),
+    });
+    this.addCommand({
+      id: "auto-fm-import-rules",
+      name: "Import rules",
+      callback: () => new ImportRulesModal(this.app, this).open(),
+    });
+
+    // Right-click actions in the file explorer
+    this.registerEvent(
+      this.app.workspace.on("file-menu", (menu, file) => {
+        if (file instanceof TFolder) this.addFolderMenuItems(menu, file);
+        else if (file instanceof TFile && file.extension === "md") {
+          this.addNoteMenuItems(menu, file);
+        }
+      }),
+    );
+
+    this.settingTab = new AutoFMSettingTab(this.app, this);
+    this.addSettingTab(this.settingTab);
   }
 
-  async saveSettings() {
-    await this.saveData(this.settings);
+  onunload() {
+    for (const entry of this.pending.values()) clearTimeout(entry.timer);
+    this.pending.clear();
+    for (const timer of this.routeTimers.values()) clearTimeout(timer);
+    this.routeTimers.clear();
+    for (const timer of this.liveTimers.values()) clearTimeout(timer);
+    this.liveTimers.clear();
   }
 
-  // ------- Core: Apply rules to a file if its path matches any rule folder -------
-  async applyRules(file) {
-    const path = file.path.replace(/\\/g, "/");
-    const matchingRules = this.settings.rules.filter((r) =>
-      this.isFileInFolder(path, r.folder),
+  // Queue an event-driven application for `file`. Repeated events for the
+  // same note restart the wait; a note created and then renamed before the
+  // rules ran is still treated as a new note.
+  queueRules(file, options) {
+    const previous =
+      (options.oldPath && this.pending.get(options.oldPath)) ||
+      this.pending.get(file.path);
+    if (previous) {
+      clearTimeout(previous.timer);
+      this.pending.delete(previous.file.path);
+      this.pending.delete(previous.path);
+      if (previous.options.trigger === "create") {
+        options = { trigger: "create" };
+      } else if (previous.options.oldPath) {
+        options = Object.assign({}, options, {
+          oldPath: previous.options.oldPath,
+        });
+      }
+    }
+    const entry = { file, path: file.path, options, timer: null };
+    this.pending.set(file.path, entry);
+    this.scheduleQueued(entry);
+  }
+
+  scheduleQueued(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(
+      () => this.runQueued(entry),
+      Math.max(0, Number(this.settings.eventDelay) || 0),
     );
+  }
 
-    if (matchingRules.length === 0) return;
+  async runQueued(entry) {
+    if (this.pending.get(entry.path) !== entry) return;
+    this.pending.delete(entry.path);
+    // A note moved along with its folder waits until we know whether the
+    // rules follow the folder, so it isn't stripped for "leaving" it
+    const oldPath = entry.options.oldPath;
+    if (
+      oldPath &&
+      [...this.heldFolders].some((folder) => isPathInFolder(oldPath, folder))
+    ) {
+      this.heldEntries.push(entry);
+      return;
+    }
+    if (this.isLooping(entry.file.path)) {
+      console.warn(
+        `Hot Folder: ${entry.file.path} keeps changing, skipping rules for now`,
+      );
+      return;
+    }
+    try {
+      await this.applyRules(entry.file, entry.options);
+    } catch (e) {
+      console.error(`Hot Folder: failed to apply rules to ${entry.path}`, e);
+    }
+  }
 
-    const fileContent = await this.app.vault.read(file);
-    const { frontmatter, body, hadFM, originalFMText } =
-      parseFrontmatter(fileContent);
+  // ------- Folder renames and deletions -------
 
-    // Collect all keys that will be modified by rules
-    const keysToModify = new Set();
-    const newValues = {};
+  // Point rules, exclusions, ignored paths and routes at a renamed folder
+  async handleFolderRename(folder, oldPath) {
+    const kept = [];
+    const changes = this.getFolderReferenceChanges(oldPath, folder.path, kept);
+    for (const rule of kept) {
+      new Notice(
+        `Auto Frontmatter: the rule for "${rule.folder}" still matches other folders, so it was left unchanged.`,
+      );
+    }
+    if (changes.length === 0) return;
 
-    // Merge all rule frontmatters (accumulate)
-    for (const rule of matchingRules) {
-      for (const k in rule.frontmatter) {
-        keysToModify.add(k);
-        const incoming = rule.frontmatter[k];
+    if (!this.settings.confirmFolderRenames) {
+      await this.applyFolderReferenceChanges(changes);
+      new Notice(
+        `Auto Frontmatter: updated ${changes.length} rule setting${changes.length === 1 ? "" : "s"} for ${oldPath} → ${folder.path}.`,
+      );
+      return;
+    }
 
-        if (Array.isArray(incoming)) {
-          const existing = toArray(frontmatter[k]);
-          for (const val of incoming) {
-            if (!existing.includes(val)) existing.push(val);
-          }
-          newValues[k] = existing;
-        } else {
-          // scalar: last wins by default? For "accumulate" feel, if key already an array, push; else set.
-          // But for your case, you want tags to accumulate, and type to update to the latest folder's value.
-          if (k === "tags" || k === "tag" || k === "keywords") {
-            const existing = toArray(frontmatter[k]);
-            if (!existing.includes(incoming)) existing.push(incoming);
-            newValues[k] = existing;
-          } else {
-            // Update scalar
-            newValues[k] = incoming;
-          }
-        }
+    this.heldFolders.add(oldPath);
+    const onChoose = async (update) => {
+      if (update) await this.applyFolderReferenceChanges(changes);
+      this.heldFolders.delete(oldPath);
+      const held = this.heldEntries;
+      this.heldEntries = [];
+      for (const entry of held) this.queueRules(entry.file, entry.options);
+    };
+    new FolderRenameModal(
+      this.app,
+      oldPath,
+      folder.path,
+      changes,
+      onChoose,
+    ).open();
+  }
+
+  handleFolderDelete(folder) {
+    const count = this.getFolderReferenceChanges(folder.path, "").length;
+    if (count === 0) return;
+    new Notice(
+      `Auto Frontmatter: ${count} rule setting${count === 1 ? "" : "s"} still point at the deleted folder ${folder.path}. They are flagged in the settings.`,
+    );
+  }
+
+  // Everything that refers to `oldPath` or a folder below it, as
+  // { label, from, to, apply } with `apply` writing the new value.
+  // Glob and regex folders are left alone, and so are "contains" rules that
+  // still match another folder; those are added to `kept`.
+  getFolderReferenceChanges(oldPath, newPath, kept = []) {
+    const changes = [];
+    const add = (label, from, anywhere, apply) => {
+      const to = renameFolderReference(from, oldPath, newPath, anywhere);
+      if (to !== null && to !== from) changes.push({ label, from, to, apply });
+    };
+
+    for (const rule of this.settings.rules) {
+      const mode = rule.matchMode || "contains";
+      const refersToOld =
+        mode === "contains" &&
+        renameFolderReference(rule.folder, oldPath, newPath, true) !== null;
+      if (refersToOld && this.ruleFolderExists(rule)) {
+        kept.push(rule);
+      } else if (mode !== "glob" && mode !== "regex") {
+        add("Rule folder", rule.folder, mode === "contains", (to) => {
+          rule.folder = to;
+        });
       }
+      (rule.exclude || []).forEach((pattern, i) =>
+        add(`Exclusion of ${rule.folder}`, pattern, false, (to) => {
+          rule.exclude[i] = to;
+        }),
+      );
+    }
+    this.settings.ignorePaths.forEach((pattern, i) =>
+      add("Ignored path", pattern, false, (to) => {
+        this.settings.ignorePaths[i] = to;
+      }),
+    );
+    for (const route of this.settings.routes) {
+      add("Routing destination", route.target, false, (to) => {
+        route.target = to;
+      });
     }
+    return changes;
+  }
+
+  async applyFolderReferenceChanges(changes) {
+    for (const change of changes) change.apply(change.to);
+    await this.saveSettings();
+    this.refreshSettingTab();
+  }
 
-    // Check if frontmatter actually needs to be changed
-    let needsUpdate = false;
-    for (const [key, newValue] of Object.entries(newValues)) {
-      const currentValue = frontmatter[key];
+  // Whether a rule's folder exists in the vault. Glob and regex folders
+  // always count as existing.
+  ruleFolderExists(rule) {
+    const mode = rule.matchMode || "contains";
+    if (mode === "glob" || mode === "regex") return true;
+    const folder = (rule.folder || "").replace(/^\/+|\/+$/g, "").toLowerCase();
+    if (!folder) return true;
+    return this.app.vault.getAllLoadedFiles().some((f) => {
+      if (!(f instanceof TFolder)) return false;
+      const path = f.path.toLowerCase();
+      return (
+        path === folder || (mode === "contains" && path.endsWith("/" + folder))
+      );
+    });
+  }
 
-      if (Array.isArray(newValue) && Array.isArray(currentValue)) {
-        // Compare arrays
-        if (
-          newValue.length !== currentValue.length ||
-          !newValue.every((val) => currentValue.includes(val))
-        ) {
-          needsUpdate = true;
-          break;
+  // Property changes are checked once the note has been quiet for a moment,
+  // and not while rules for the note are still queued
+  queueRoute(file) {
+    clearTimeout(this.routeTimers.get(file.path));
+    this.routeTimers.set(
+      file.path,
+      setTimeout(async () => {
+        this.routeTimers.delete(file.path);
+        if (this.pending.has(file.path)) return;
+        try {
+          await this.routeFile(file);
+        } catch (e) {
+          console.error(`Hot Folder: failed to route ${file.path}`, e);
         }
-      } else if (newValue !== currentValue) {
-        needsUpdate = true;
-        break;
-      }
-    }
+      }, Math.max(0, Number(this.settings.eventDelay) || 0)),
+    );
+  }
 
-    if (!needsUpdate) {
-      return;
+  // Live fields are recomputed once an edited note has been quiet for
+  // `liveDelay`, so typing isn't interrupted by writes. Queued rules cover
+  // live fields too, so the update is dropped when they are pending.
+  queueLiveUpdate(file) {
+    const hasLiveFields = this.getRuleMatches(file.path).some((m) =>
+      getLiveRule(m.rule),
+    );
+    if (!hasLiveFields) return;
+    clearTimeout(this.liveTimers.get(file.path));
+    this.liveTimers.set(
+      file.path,
+      setTimeout(async () => {
+        this.liveTimers.delete(file.path);
+        if (this.pending.has(file.path)) return;
+        if (this.isLooping(file.path)) {
+          console.warn(
+            `Hot Folder: ${file.path} keeps changing, skipping live fields for now`,
+          );
+          return;
+        }
+        try {
+          await this.applyRules(file, { trigger: "modify", live: true });
+        } catch (e) {
+          console.error(`Hot Folder: failed to update ${file.path}`, e);
+        }
+      }, Math.max(0, Number(this.settings.liveDelay) || 0)),
+    );
+  }
+
+  // Folder the first matching routing rule sends `file` to, or null
+  async getRouteTarget(file) {
+    const routes = this.settings.routes.filter((r) => r.target);
+    if (routes.length === 0 || this.isIgnoredPath(file.path)) return null;
+
+    let frontmatter = this.getCachedFrontmatter(file);
+    let body;
+    if (!frontmatter || routes.some(ruleNeedsBody)) {
+      ({ frontmatter, body } = parseFrontmatter(
+        await this.app.vault.cachedRead(file),
+      ));
     }
+    if (isOptedOut(frontmatter)) return null;
+    const context = {
+      name: file.name,
+      basename: file.basename,
+      frontmatter,
+      body,
+      trigger: "manual",
+    };
+    const route = routes.find(
+      (r) => (r.conditions || []).length > 0 && conditionsMet(r, context),
+    );
+    if (!route) return null;
+    // A target with placeholders, e.g. "Archive/{{year}}", renders
+    // differently over time: notes already under its fixed folders stay put
+    const fixed = getFixedFolderPrefix(route.target);
+    if (fixed && isPathInFolder(getParentPath(file.path), fixed)) return null;
+    return normalizePath(
+      renderTemplate(route.target, getTemplateVars(file)).replace(
+        /^\/+|\/+$/g,
+        "",
+      ),
+    );
+  }
+
+  // Move `file` into the folder its routing rule points to. The rename then
+  // applies the destination folder's rules. Returns the new path, or null when
+  // no route applies or the note is already there.
+  async routeFile(file) {
+    const target = await this.getRouteTarget(file);
+    const current = file.parent ? file.parent.path : "/";
+    if (target === null || target === current) return null;
 
-    // Apply surgical frontmatter modification
-    const modifiedFMText = modifyFrontmatterSelectively(
-      originalFMText,
-      newValues,
-      hadFM,
+    const newPath = normalizePath(
+      target === "/" ? file.name : `${target}/${file.name}`,
     );
+    if (this.app.vault.getAbstractFileByPath(newPath)) {
+      new Notice(
+        `Auto Frontmatter: can't move ${file.path}, ${newPath} already exists.`,
+      );
+      return null;
+    }
+    if (target !== "/" && !this.app.vault.getAbstractFileByPath(target)) {
+      await this.app.vault.createFolder(target);
+    }
+    const oldPath = file.path;
+    await this.app.fileManager.renameFile(file, newPath);
+    this.app.workspace.trigger("hot-folder:routed", { file, oldPath, newPath });
+    return newPath;
+  }
 
-    // Handle spacing between frontmatter and body carefully
-    // Remove the trailing newline from modifiedFMText and add exactly one
-    const cleanFM = modifiedFMText.replace(/\n$/, "");
-    const newContent = cleanFM + "\n" + body;
+  // With "only new notes from this session" on, created notes whose creation
+  // time predates this session (e.g. arriving from a sync service) are ignored
+  isSessionNote(file) {
+    if (!this.settings.onlySessionNotes) return true;
+    const ctime = file.stat ? file.stat.ctime : 0;
+    return ctime >= this.readyTime && Date.now() - ctime < 60000;
+  }
 
-    await this.app.vault.modify(file, newContent);
+  isOwnWrite(path) {
+    const time = this.ownWrites.get(path);
+    if (time === undefined) return false;
+    if (Date.now() - time > OWN_WRITE_WINDOW) {
+      this.ownWrites.delete(path);
+      return false;
+    }
+    return true;
   }
 
-  isFileInFolder(filePath, folder) {
-    if (!folder) return false;
-    const normFolder = folder.replace(/^\/+|\/+$/g, "").toLowerCase();
-    if (normFolder === "") return false;
-    const lastSlash = filePath.lastIndexOf('/');
-    const dirPath = (lastSlash === -1) ? "" : filePath.substring(0, lastSlash);
-    const searchIn = '/' + dirPath.toLowerCase() + '/';
-    const searchFor = '/' + normFolder + '/';
-    return searchIn.includes(searchFor);
+  // Write `content` to `file`, remembering the write so the modify event it
+  // causes isn't mistaken for someone else's change
+  async writeFile(file, content) {
+    this.ownWrites.set(file.path, Date.now());
+    await this.app.vault.modify(file, content);
+  }
+
+  // True when rules already rewrote this note LOOP_LIMIT times within
+  // LOOP_WINDOW, e.g. because another plugin keeps reverting our changes
+  isLooping(path) {
+    const now = Date.now();
+    const recent = (this.applyHistory.get(path) || []).filter(
+      (time) => now - time < LOOP_WINDOW,
+    );
+    this.applyHistory.set(path, recent);
+    return recent.length >= LOOP_LIMIT;
+  }
+
+  async loadSettings() {
+    const saved = Object.assign({}, await this.loadData());
+    // The journal is stored alongside the settings but kept apart from them
+    this.journal = Array.isArray(saved.journal) ? saved.journal : [];
+    delete saved.journal;
+    this.settings = Object.assign({}, this.DEFAULT_SETTINGS, saved);
+    if (!Array.isArray(this.settings.rules)) this.settings.rules = [];
+    if (!Array.isArray(this.settings.listKeys)) {
+      this.settings.listKeys = [...this.DEFAULT_SETTINGS.listKeys];
+    }
+    for (const rule of this.settings.rules) {
+      if (!rule.id) rule.id = createId();
+    }
+    if (!Array.isArray(this.settings.routes)) this.settings.routes = [];
   }
-}
 
-/* ----------------------------- Utilities ----------------------------- */
+  async saveSettings() {
+    await this.saveData(
+      Object.assign({}, this.settings, { journal: this.journal }),
+    );
+    await this.writeRulesFile();
+    this.registerGroupCommands();
+  }
 
+  // ------- Rules file: rules kept in a vault note, YAML or JSON file -------
+  // The file is the source of truth while it exists; plugin data keeps a copy.
 
+  isRulesFile(path) {
+    return (
+      !!this.settings.rulesFile &&
+      normalizePath(this.settings.rulesFile) === path
+    );
+  }
 
-function toArray(val) {
-  if (val == null) return [];
-  if (Array.isArray(val)) {
-    return val.filter(
-      (item) =>
-        item !== null && item !== undefined && String(item).trim() !== "",
+  getRulesFile() {
+    if (!this.settings.rulesFile) return null;
+    const file = this.app.vault.getAbstractFileByPath(
+      normalizePath(this.settings.rulesFile),
     );
+    return file instanceof TFile ? file : null;
   }
-  const stringVal = String(val).trim();
-  return stringVal !== "" ? [stringVal] : [];
-}
 
-// Very simple FM parser (YAML-ish). Handles arrays like [a, b] and simple scalars.
-// Avoids external YAML to keep it mobile-friendly.
-function parseFrontmatter(text) {
-  const fmMatch = text.match(/^---\n([\s\S]*?)\n---\n/);
-  if (!fmMatch) {
-    return { frontmatter: {}, body: text, hadFM: false, originalFMText: "" };
-  }
-  const raw = fmMatch[1];
-  const frontmatter = {};
-  const body = text.slice(fmMatch[0].length);
-  const originalFMText = fmMatch[0];
-
-  const lines = raw.split("\n");
-  let i = 0;
-  while (i < lines.length) {
-    const line = lines[i];
-    const idx = line.indexOf(":");
-    if (idx === -1) {
-      i++;
-      continue;
-    }
-    const key = line.slice(0, idx).trim();
-    let val = line.slice(idx + 1).trim();
-    if (!key) {
-      i++;
-      continue;
-    }
-
-    // Check if this is a YAML list (empty value followed by dash items)
-    if (
-      val === "" &&
-      i + 1 < lines.length &&
-      lines[i + 1].trim().startsWith("-")
-    ) {
-      const arr = [];
-      i++; // Move to first dash line
-      while (i < lines.length && lines[i].trim().startsWith("-")) {
-        const item = lines[i].trim().slice(1).trim(); // Remove dash and trim
-        if (item) arr.push(item);
-        i++;
-      }
-      frontmatter[key] = arr;
-      continue;
-    }
-
-    // Array in bracket format?
-    if (val.startsWith("[") && val.endsWith("]")) {
-      const inner = val.slice(1, -1).trim();
-      const arr = inner
-        ? inner
-            .split(",")
-            .map((s) => s.trim())
-            .filter((s) => s !== null && s !== undefined && s !== "")
-        : [];
-      frontmatter[key] = arr;
-    } else {
-      // Strip surrounding quotes if any
-      val = val.replace(/^"(.*)"$/, "$1").replace(/^'(.*)'$/, "$1");
-      frontmatter[key] = val;
+  // Returns true when rules were loaded
+  async loadRulesFile() {
+    const file = this.getRulesFile();
+    if (!file) return false;
+    const content = await this.app.vault.read(file);
+    if (content === this.rulesFileContent) return false;
+
+    let ruleSet;
+    try {
+      ruleSet = parseRuleSet(content, file.extension);
+    } catch (e) {
+      new Notice(
+        `Auto Frontmatter: could not read rules from ${file.path}: ${e.message}`,
+      );
+      return false;
     }
-    i++;
+    this.rulesFileContent = content;
+    this.settings.rules = ruleSet.rules;
+    this.settings.routes = ruleSet.routes || [];
+    await this.saveData(
+      Object.assign({}, this.settings, { journal: this.journal }),
+    );
+    this.refreshSettingTab();
+    return true;
   }
-  return { frontmatter, body, hadFM: true, originalFMText };
-}
 
-// Surgically modify only specified keys in frontmatter, preserving original formatting for others
-function modifyFrontmatterSelectively(originalFMText, newValues, hadFM) {
-  if (!hadFM) {
-    // Create new frontmatter from scratch
-    const lines = ["---"];
-    for (const [k, v] of Object.entries(newValues)) {
-      lines.push(formatFrontmatterLine(k, v));
+  // Only writes to a rules file that already exists, so a half-typed path in
+  // the settings doesn't create files. A file edited since it was last read
+  // is loaded instead of overwritten, and saves that leave the rules as they
+  // are in the file (the journal, other settings) don't touch it.
+  async writeRulesFile() {
+    const file = this.getRulesFile();
+    if (!file) return;
+    const content = await this.app.vault.read(file);
+    if (content !== this.rulesFileContent) {
+      await this.loadRulesFile();
+      return;
     }
-    lines.push("---");
-    return lines.join("\n") + "\n";
+    // Content matching what was last read parsed fine then
+    const ruleSet = this.getRuleSet();
+    const current = parseRuleSet(content, file.extension);
+    if (ruleSignature(current) === ruleSignature(ruleSet)) return;
+
+    const newContent = serializeRuleSet(
+      ruleSet,
+      file.extension,
+      content,
+    );
+    this.rulesFileContent = newContent;
+    if (newContent !== content) await this.writeFile(file, newContent);
   }
 
-  // Parse original frontmatter line by line, preserving formatting
-  const lines = originalFMText.split("\n");
-  const modifiedLines = [];
-  const processedKeys = new Set();
-  let i = 0;
+  // Create the rules file from the current rules, or load it if it exists
+  async connectRulesFile() {
+    const path = normalizePath(this.settings.rulesFile || "");
+    if (!this.settings.rulesFile) return;
+    if (this.getRulesFile()) {
+      await this.loadRulesFile();
+      new Notice(`Auto Frontmatter: rules loaded from ${path}.`);
+      return;
+    }
+    const extension = path.split(".").pop().toLowerCase();
+    const folder = getParentPath(path);
+    if (folder && !this.app.vault.getAbstractFileByPath(folder)) {
+      await this.app.vault.createFolder(folder);
+    }
+    const content = serializeRuleSet(this.getRuleSet(), extension, "");
+    this.rulesFileContent = content;
+    await this.app.vault.create(path, content);
+    new Notice(`Auto Frontmatter: rules saved to ${path}.`);
+  }
 
-  while (i < lines.length) {
-    const line = lines[i];
+  getRuleSet() {
+    const ruleSet = { rules: this.settings.rules };
+    if (this.settings.routes.length > 0) ruleSet.routes = this.settings.routes;
+    return ruleSet;
+  }
 
-    if (line === "---") {
-      modifiedLines.push(line);
-      i++;
-      continue;
+  // Add imported rules (and routes). In "merge" mode rules identical to an
+  // existing one are skipped; in "replace" mode the current ones are dropped.
+  async importRuleSet(ruleSet, mode) {
+    const result = { added: 0, duplicates: 0 };
+    for (const kind of ["rules", "routes"]) {
+      const incoming = ruleSet[kind] || [];
+      if (mode === "replace") this.settings[kind] = [];
+      const current = this.settings[kind];
+      const signatures = new Set(current.map(ruleSignature));
+      const ids = new Set(current.map((r) => r.id));
+      for (const item of incoming) {
+        const signature = ruleSignature(item);
+        if (signatures.has(signature)) {
+          result.duplicates++;
+          continue;
+        }
+        const copy = deepClone(item);
+        if (!copy.id || ids.has(copy.id)) copy.id = createId();
+        current.push(copy);
+        signatures.add(signature);
+        ids.add(copy.id);
+        result.added++;
+      }
     }
+    await this.saveSettings();
+    this.refreshSettingTab();
+    return result;
+  }
 
-    const idx = line.indexOf(":");
-    if (idx === -1) {
-      modifiedLines.push(line);
-      i++;
-      continue;
+  refreshSettingTab() {
+    if (this.settingTab && this.settingTab.containerEl.isShown()) {
+      this.settingTab.display();
     }
+  }
 
-    const key = line.slice(0, idx).trim();
-    if (!key) {
-      modifiedLines.push(line);
-      i++;
-      continue;
-    }
+  // ------- Core: Apply rules to a file if its path matches any rule folder -------
+  // Returns true when the file was modified. Every write is recorded in the
+  // journal under `options.trigger` ("create", "move", "manual" or "bulk")
+  // and `options.batchId`, so a whole run can be undone together. Live
+  // updates (`options.live`) aren't journaled: the next edit redoes them.
+  async applyRules(file, options = {}) {
+    const plan = await this.planRules(file, options);
+    if (!plan) return false;
+    await this.applyPlan(plan, options);
+    return true;
+  }
+
+  // Write a plan from planRules, journal it and let other plugins know
+  async applyPlan(plan, options = {}) {
+    const { file } = plan;
+    await this.writeFile(file, plan.newContent);
+    this.applyHistory.set(
+      file.path,
+      (this.applyHistory.get(file.path) || []).concat(Date.now()),
+    );
+    if (!options.live) this.recordJournal(plan, options);
+    this.app.workspace.trigger("hot-folder:applied", {
+      file,
+      trigger: options.trigger || "manual",
+      ruleIds: plan.ruleIds,
+      changedKeys: plan.changedKeys,
+    });
+  }
 
-    if (newValues.hasOwnProperty(key)) {
-      // Replace with new value
-      modifiedLines.push(formatFrontmatterLine(key, newValues[key]));
-      processedKeys.add(key);
+  recordJournal(plan, options) {
+    this.journal.push({
+      id: createId(),
+      batchId: options.batchId || createId(),
+      time: Date.now(),
+      trigger: options.trigger || "manual",
+      path: plan.file.path,
+      ruleIds: plan.ruleIds,
+      before: plan.before,
+      after: plan.after,
+      bodyBefore: plan.bodyBefore,
+      bodyAfter: plan.bodyAfter,
+    });
+    const limit = Math.max(0, Number(this.settings.journalLimit) || 0);
+    if (this.journal.length > limit) {
+      this.journal.splice(0, this.journal.length - limit);
+    }
+    this.requestSaveJournal();
+    this.refreshViews(VIEW_TYPE_JOURNAL);
+  }
 
-      // Skip any YAML list items that follow this key
-      const val = line.slice(idx + 1).trim();
+  // Restore the frontmatter (and body, when the rules changed it) recorded
+  // before each entry, newest first. A note that changed again since is
+  // skipped rather than overwritten.
+  async undoEntries(entries) {
+    let restored = 0;
+    const skipped = [];
+    for (const entry of [...entries].reverse()) {
+      if (entry.undone) continue;
+      const file = this.app.vault.getAbstractFileByPath(entry.path);
+      if (!(file instanceof TFile)) {
+        skipped.push(entry.path);
+        continue;
+      }
+      const content = await this.app.vault.read(file);
+      const { hadFM, originalFMText, body } = parseFrontmatter(content);
+      const bodyChanged = entry.bodyAfter !== undefined;
       if (
-        val === "" &&
-        i + 1 < lines.length &&
-        lines[i + 1].trim().startsWith("-")
+        (hadFM ? originalFMText : "") !== entry.after ||
+        (bodyChanged && body !== entry.bodyAfter)
       ) {
-        i++; // Move to first dash line
-        while (i < lines.length && lines[i].trim().startsWith("-")) {
-          i++; // Skip all dash lines
-        }
+        skipped.push(entry.path);
         continue;
       }
-    } else {
-      // Keep original line unchanged
-      modifiedLines.push(line);
+      await this.writeFile(
+        file,
+        entry.before + (bodyChanged ? entry.bodyBefore : body),
+      );
+      entry.undone = true;
+      restored++;
     }
-    i++;
-  }
 
-  // Add any new keys that weren't in the original frontmatter
-  const newKeys = Object.keys(newValues).filter((k) => !processedKeys.has(k));
-  if (newKeys.length > 0) {
-    // Insert before the closing "---"
-    const lastDashIndex = modifiedLines.lastIndexOf("---");
-    for (const key of newKeys) {
-      modifiedLines.splice(
-        lastDashIndex,
-        0,
-        formatFrontmatterLine(key, newValues[key]),
+    this.requestSaveJournal();
+    this.refreshViews(VIEW_TYPE_JOURNAL);
+    if (skipped.length > 0) {
+      console.warn("Hot Folder: could not undo, notes changed since", skipped);
+      new Notice(
+        `Auto Frontmatter: undid ${restored} changes, skipped ${skipped.length} notes that changed since.`,
       );
+    } else {
+      new Notice(`Auto Frontmatter: undid ${restored} changes.`);
     }
   }
 
-  return modifiedLines.join("\n") + "\n";
-}
+  async activateView(viewType) {
+    let leaf = this.app.workspace.getLeavesOfType(viewType)[0];
+    if (!leaf) {
+      leaf = this.app.workspace.getRightLeaf(false);
+      await leaf.setViewState({ type: viewType, active: true });
+    }
+    this.app.workspace.revealLeaf(leaf);
+  }
 
-// Format a single frontmatter key-value pair
-function formatFrontmatterLine(key, value) {
-  if (Array.isArray(value)) {
-    const filteredArray = value.filter(
-      (item) =>
-        item !== null && item !== undefined && String(item).trim() !== "",
-    );
-    return `${key}: [${filteredArray.join(", ")}]`;
-  } else {
-    const str = String(value);
-    const needsQuote =
-      /^\s|\s$/.test(str) || // leading/trailing spaces
-      /\n/.test(str) || // contains newlines
-      str.startsWith("[") || // starts with bracket
-      (str.includes(":") &&
-        !/^\d{4}-\d{2}-\d{2}(\s+\d{1,2}:\d{2}(:\d{2})?)?$/.test(str)); // has colon but isn't a date/time
-    return `${key}: ${needsQuote ? `"${str}"` : str}`;
+  refreshViews(viewType) {
+    for (const leaf of this.app.workspace.getLeavesOfType(viewType)) {
+      if (leaf.view && leaf.view.render) leaf.view.render();
+    }
   }
-}
 
-function stringifyFrontmatter(obj) {
-  const lines = ["---"];
-  for (const [k, v] of Object.entries(obj)) {
-    if (Array.isArray(v)) {
-      // Filter out empty values from array
-      const filteredArray = v.filter(
-        (item) =>
-          item !== null && item !== undefined && String(item).trim() !== "",
+  addFolderMenuItems(menu, folder) {
+    menu.addItem((item) =>
+      item
+        .setTitle("Create Hot Folder rule here")
+        .setIcon("folder-plus")
+        .onClick(() => {
+          const rule = {
+            id: createId(),
+            folder: folder.path,
+            matchMode: "prefix",
+            frontmatter: {},
+          };
+          new RuleEditModal(
+            this.app,
+            rule,
+            async (finalRule) => {
+              this.settings.rules.push(finalRule);
+              await this.saveSettings();
+              this.refreshSettingTab();
+            },
+            true,
+          ).open();
+        }),
+    );
+
+    const rules = this.getFolderRules(folder);
+    if (rules.length > 0) {
+      menu.addItem((item) =>
+        item
+          .setTitle("Edit rules for this folder")
+          .setIcon("pencil")
+          .onClick(() =>
+            new RuleListModal(this.app, this, {
+              title: `Rules for ${folder.isRoot() ? "/" : folder.path}`,
+              rules,
+            }).open(),
+          ),
       );
-      lines.push(`${k}: [${filteredArray.join(", ")}]`);
-    } else {
-      // quote if starts with '[', contains newlines, or has leading/trailing spaces
-      // but don't quote common date/time formats or simple values with colons
-      const str = String(v);
-      const needsQuote =
-        /^\s|\s$/.test(str) || // leading/trailing spaces
-        /\n/.test(str) || // contains newlines
-        str.startsWith("[") || // starts with bracket
-        (str.includes(":") &&
-          !/^\d{4}-\d{2}-\d{2}(\s+\d{1,2}:\d{2}(:\d{2})?)?$/.test(str)); // has colon but isn't a date/time
-      lines.push(`${k}: ${needsQuote ? `"${String(v)}"` : v}`);
-    }
-  }
-  lines.push("---");
-  return lines.join("\n") + "\n";
-}
+    }
 
-/* --------------------------- Settings UI ---------------------------- */
+    menu.addItem((item) =>
+      item
+        .setTitle("Apply rules to this folder")
+        .setIcon("play")
+        .onClick(() =>
+          new ApplyPreviewModal(
+            this.app,
+            this,
+            this.getFolderFiles(folder),
+          ).open(),
+        ),
+    );
+  }
 
-class AutoFMSettingTab extends PluginSettingTab {
-  constructor(app, plugin) {
-    super(app, plugin);
-    this.plugin = plugin;
+  addNoteMenuItems(menu, file) {
+    menu.addItem((item) =>
+      item
+        .setTitle("Show rules affecting this note")
+        .setIcon("list")
+        .onClick(() =>
+          new RuleListModal(this.app, this, {
+            title: `Rules for ${file.basename}`,
+            rules: this.getRuleMatches(file.path).map((m) => m.rule),
+            file,
+          }).open(),
+        ),
+    );
+    menu.addItem((item) =>
+      item
+        .setTitle("Apply rules")
+        .setIcon("play")
+        .onClick(async () => {
+          const changed = await this.applyRules(file, { trigger: "manual" });
+          new Notice(
+            changed
+              ? `Auto Frontmatter: rules applied to ${file.basename}.`
+              : `Auto Frontmatter: ${file.basename} is already up to date.`,
+          );
+        }),
+    );
   }
 
-  display() {
-    const { containerEl } = this;
-    containerEl.empty();
-    containerEl.addClass("hot-folder-settings");
+  // Rules that apply to a note placed directly in `folder`
+  getFolderRules(folder) {
+    const notePath = folder.isRoot() ? "untitled.md" : `${folder.path}/untitled.md`;
+    return this.getRuleMatches(notePath).map((m) => m.rule);
+  }
 
-    // Header
-    containerEl.createEl("h1", { text: "Hot Folder" });
+  // Replace a rule by id, e.g. after editing it outside the settings tab
+  async updateRule(rule) {
+    const index = this.settings.rules.findIndex((r) => r.id === rule.id);
+    if (index === -1) this.settings.rules.push(rule);
+    else this.settings.rules[index] = rule;
+    await this.saveSettings();
+    this.refreshSettingTab();
+  }
 
-    // Description
-    const desc = containerEl.createEl("div", {
-      cls: "setting-item-description",
-    });
-    desc.setText(
-      "Automatically add frontmatter to notes based on their folder location. When a note is created or moved into a matching folder, the specified frontmatter will be merged into the note.",
-    );
+  describeRule(id) {
+    if (id.startsWith("folder:")) return `Folder note ${id.slice(7)}`;
+    const rule = this.settings.rules
+      .concat(this.runtimeRules)
+      .find((r) => r.id === id);
+    return rule ? rule.name || rule.folder : "(deleted rule)";
+  }
 
-    // Empty state
-    if (this.plugin.settings.rules.length === 0) {
-      const empty = containerEl.createDiv("hot-folder-empty-state");
-      empty.createEl("div", { text: "No rules configured" });
-      empty.createEl("div", {
-        cls: "setting-item-description",
-        text: "Add your first rule to automatically apply frontmatter based on folder paths.",
-      });
-    }
+  // ------- Rule groups -------
 
-    // List existing rules
-    this.plugin.settings.rules.forEach((rule, index) => {
-      const setting = new Setting(containerEl).setClass(
-        "hot-folder-rule-setting",
-      );
+  // Rules that are enabled and not in a switched-off group, in priority
+  // order: when rules set the same property, the later one wins
+  getActiveRules() {
+    return this.settings.rules
+      .concat(this.runtimeRules)
+      .filter((rule) => this.isRuleActive(rule));
+  }
 
-      // Rule header with folder name
-      const header = setting.nameEl.createDiv("hot-folder-rule-header");
-      header.createSpan({ text: "Folder: " });
-      header.createSpan({
-        cls: "hot-folder-folder-badge hot-folder-mono",
-        text: rule.folder || "(not set)",
-      });
+  isRuleActive(rule) {
+    return isRuleActive(rule, this.settings.disabledGroups);
+  }
 
-      // Display frontmatter fields
-      if (rule.frontmatter && Object.keys(rule.frontmatter).length > 0) {
-        const fieldsGrid = setting.descEl.createDiv("hot-folder-fields-grid");
+  getRuleGroups() {
+    const groups = this.settings.rules.map((r) => r.group).filter(Boolean);
+    return [...new Set(groups)].sort();
+  }
 
-        for (const [key, value] of Object.entries(rule.frontmatter)) {
-          const fieldItem = fieldsGrid.createDiv("hot-folder-field-item");
-          const fieldKey = fieldItem.createDiv("hot-folder-field-key");
-          fieldKey.setText(key);
+  isGroupEnabled(group) {
+    return !this.settings.disabledGroups.includes(group);
+  }
 
-          const fieldValue = fieldItem.createDiv("hot-folder-field-value");
+  async setGroupEnabled(group, enabled) {
+    const disabled = this.settings.disabledGroups.filter((g) => g !== group);
+    if (!enabled) disabled.push(group);
+    this.settings.disabledGroups = disabled;
+    await this.saveSettings();
+    this.refreshSettingTab();
+  }
+
+  async toggleGroup(group) {
+    const enabled = !this.isGroupEnabled(group);
+    await this.setGroupEnabled(group, enabled);
+    new Notice(
+      `Auto Frontmatter: rule group "${group}" ${enabled ? "enabled" : "disabled"}.`,
+    );
+  }
+
+  // One command per group, so groups can get their own hotkeys. Commands of
+  // groups that no longer exist stay until the plugin reloads and do nothing.
+  registerGroupCommands() {
+    for (const group of this.getRuleGroups()) {
+      if (this.groupCommands.has(group)) continue;
+      this.groupCommands.add(group);
+      const slug = group.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+      this.addCommand({
+        id: `auto-fm-toggle-group-${slug}`,
+        name: `Toggle rule group: ${group}`,
+        checkCallback: (checking) => {
+          if (!this.getRuleGroups().includes(group)) return false;
+          if (!checking) this.toggleGroup(group);
+          return true;
+        },
+      });
+    }
+  }
+
+  // Run the rule engine without writing. Returns null when the file is
+  // already up to date, otherwise the frontmatter before and after the change
+  // and the new file content.
+  // When `options.oldPath` is given (a move/rename), rules that matched the old
+  // location but not the new one and have `removeOnLeave` set get their values
+  // stripped before the new location's rules are merged in.
+  // With `options.live`, only the rules' live fields are applied.
+  async planRules(file, options = {}) {
+    const path = file.path.replace(/\\/g, "/");
+    let matches = this.getRuleMatches(path);
+    if (options.live) {
+      matches = matches
+        .map((m) => ({ rule: getLiveRule(m.rule), captures: m.captures }))
+        .filter((m) => m.rule);
+    }
+    const matchingRules = matches.map((m) => m.rule);
+    const leaving = options.oldPath && !options.live
+      ? this.getRuleMatches(options.oldPath.replace(/\\/g, "/")).filter(
+          (m) => m.rule.removeOnLeave && !matchingRules.includes(m.rule),
+        )
+      : [];
+
+    if (matches.length === 0 && leaving.length === 0) return null;
+
+    const plan = await planNoteUpdate(
+      await this.app.vault.read(file),
+      file,
+      matches,
+      leaving,
+      {
+        trigger: options.trigger,
+        oldPath: options.oldPath,
+        listKeys: this.settings.listKeys,
+        readTemplate: (templatePath) => this.readTemplate(templatePath),
+      },
+    );
+    return plan && Object.assign({ file }, plan);
+  }
+
+  // Content of a body template, or null when it doesn't exist
+  async readTemplate(path) {
+    const template = this.app.vault.getAbstractFileByPath(normalizePath(path));
+    if (!(template instanceof TFile)) return null;
+    return this.app.vault.cachedRead(template);
+  }
+
+  // Plan (with `options.dryRun`) or apply rules over many files. Files no rule
+  // folder matches are skipped without being read, and so are files the
+  // metadata cache already shows as compliant. Work is done in batches that
+  // yield to the UI; `options.onProgress(done, total)` reports progress and
+  // `options.isCancelled()` stops the run between files.
+  async runBulk(files, options = {}) {
+    const result = {
+      changed: 0,
+      skipped: 0,
+      failed: 0,
+      cancelled: false,
+      plans: [],
+      failures: [],
+    };
+    const batchId = options.batchId || createId();
+
+    const candidates = files.filter(
+      (file) => this.getRuleMatches(file.path).length > 0,
+    );
+    result.skipped = files.length - candidates.length;
+
+    for (let i = 0; i < candidates.length; i++) {
+      if (options.isCancelled && options.isCancelled()) {
+        result.cancelled = true;
+        break;
+      }
+      const file = candidates[i];
+      try {
+        if (this.isCompliantInCache(file)) {
+          result.skipped++;
+        } else if (options.dryRun) {
+          const plan = await this.planRules(file, { trigger: "bulk" });
+          if (plan) {
+            result.plans.push(plan);
+            result.changed++;
+          } else {
+            result.skipped++;
+          }
+        } else if (await this.applyRules(file, { trigger: "bulk", batchId })) {
+          result.changed++;
+        } else {
+          result.skipped++;
+        }
+      } catch (e) {
+        console.error(`Hot Folder: failed to apply rules to ${file.path}`, e);
+        result.failed++;
+        result.failures.push(file.path);
+      }
+
+      if (options.onProgress) options.onProgress(i + 1, candidates.length);
+      if (i % BULK_BATCH_SIZE === BULK_BATCH_SIZE - 1) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+    return result;
+  }
+
+  // True when the cached frontmatter shows the rules would change nothing.
+  // Rules that look at the note body can't be checked without reading.
+  isCompliantInCache(file) {
+    const matches = this.getRuleMatches(file.path);
+    if (matches.some((m) => ruleNeedsBody(m.rule))) return false;
+    const frontmatter = this.getCachedFrontmatter(file);
+    if (!frontmatter) return false;
+
+    const context = {
+      name: file.name,
+      basename: file.basename,
+      frontmatter,
+      trigger: "bulk",
+    };
+    return isEmptyUpdate(
+      computeRuleUpdate(
+        frontmatter,
+        matches.filter((m) => conditionsMet(m.rule, context)),
+        [],
+        getTemplateVars(file),
+        this.settings.listKeys,
+      ),
+    );
+  }
+
+  // Frontmatter from the metadata cache, or null when the note isn't indexed
+  getCachedFrontmatter(file) {
+    const cache = this.app.metadataCache.getFileCache(file);
+    if (!cache) return null;
+    const frontmatter = Object.assign({}, cache.frontmatter);
+    delete frontmatter.position;
+    return frontmatter;
+  }
+
+  // Evaluate every rule against the vault and collect the notes that don't
+  // match it, grouped by rule and by key. Each group is
+  // { rule, key, status: "missing" | "mismatch" | "remove", expected, items }
+  // with items of { file, actual }.
+  async checkCompliance(onProgress) {
+    const groups = new Map();
+    const files = this.app.vault.getMarkdownFiles();
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const matches = this.getRuleMatches(file.path);
+      if (matches.length > 0) {
+        let frontmatter = matches.some((m) => ruleNeedsBody(m.rule))
+          ? null
+          : this.getCachedFrontmatter(file);
+        let body;
+        if (!frontmatter) {
+          ({ frontmatter, body } = parseFrontmatter(
+            await this.app.vault.cachedRead(file),
+          ));
+        }
+        const context = {
+          name: file.name,
+          basename: file.basename,
+          frontmatter,
+          body,
+          trigger: "bulk",
+        };
+        const vars = getTemplateVars(file, body);
+
+        // All matching rules are evaluated together, as when they are
+        // applied, so a key a later rule overrides isn't reported against
+        // the earlier one. Each difference goes to the rule that decides it.
+        const applying = matches.filter((m) => conditionsMet(m.rule, context));
+        const { newValues, removeKeys, renames } = computeRuleUpdate(
+          frontmatter,
+          applying,
+          [],
+          vars,
+          this.settings.listKeys,
+        );
+        const issues = Object.entries(newValues)
+          .map(([key, expected]) => ({
+            key,
+            expected,
+            status: hasFrontmatterValue(frontmatter, key)
+              ? "mismatch"
+              : "missing",
+          }))
+          .concat(removeKeys.map((key) => ({ key, status: "remove" })))
+          .concat(
+            Object.entries(renames).map(([key, expected]) => ({
+              key,
+              expected,
+              status: "rename",
+            })),
+          );
+        const rules = applying.map((m) => m.rule);
+        for (const issue of issues) {
+          const rule = findDecidingRule(rules, issue.key);
+          const groupKey = `${rule.id}\u0000${issue.key}\u0000${issue.status}`;
+          if (!groups.has(groupKey)) {
+            groups.set(groupKey, {
+              rule,
+              key: issue.key,
+              status: issue.status,
+              expected: issue.expected,
+              items: [],
+            });
+          }
+          groups.get(groupKey).items.push({
+            file,
+            actual: getFrontmatterValue(frontmatter, issue.key),
+          });
+        }
+      }
+
+      if (onProgress) onProgress(i + 1, files.length);
+      if (i % BULK_BATCH_SIZE === BULK_BATCH_SIZE - 1) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+    return [...groups.values()];
+  }
+
+  // Markdown files in a folder and its subfolders
+  getFolderFiles(folder) {
+    const files = this.app.vault.getMarkdownFiles();
+    if (!folder || folder.isRoot()) return files;
+    return files.filter((f) => f.path.startsWith(folder.path + "/"));
+  }
+
+  // Rules whose folder pattern matches `path`, with the pattern's named captures
+  getRuleMatches(path) {
+    if (this.isRulesFile(path) || this.isIgnoredPath(path)) return [];
+    return findRuleMatches(
+      this.getActiveRules().concat(this.getFolderNoteRules(path)),
+      path,
+    );
+  }
+
+  // ------- Folder notes: rules declared in a folder's own note -------
+
+  getFolderNoteRules(path) {
+    if (!this.settings.folderNotes) return [];
+    return findFolderNoteRules(path, (notePath, folder) =>
+      this.getFolderNoteRule(notePath, folder),
+    );
+  }
+
+  // Built from the metadata cache and reused until the note changes
+  getFolderNoteRule(notePath, folder) {
+    const file = this.app.vault.getAbstractFileByPath(notePath);
+    const cache =
+      file instanceof TFile && this.app.metadataCache.getFileCache(file);
+    const frontmatter = cache && cache.frontmatter;
+    const declared = frontmatter && frontmatter[OPT_OUT_KEY];
+    if (!isPlainObject(declared)) {
+      this.folderRuleCache.delete(notePath);
+      return null;
+    }
+    const cached = this.folderRuleCache.get(notePath);
+    if (cached && cached.declared === declared) return cached.rule;
+
+    const rule = createFolderNoteRule(notePath, folder, declared);
+    this.folderRuleCache.set(notePath, { declared, rule });
+    return rule;
+  }
+
+  // Paths in the global ignore list are never touched by rules or routes
+  isIgnoredPath(path) {
+    return isIgnoredPath(path, this.settings.ignorePaths);
+  }
+}
+
+/* ----------------------------- Public API ----------------------------- */
+
+// API for other plugins and scripts:
+//   const api = app.plugins.getPlugin("hot-folder").api;
+// Files can be passed as a TFile or a vault path. Rule changes are
+// also announced as workspace events:
+//   "hot-folder:applied" ({ file, trigger, ruleIds, changedKeys })
+//   "hot-folder:routed"  ({ file, oldPath, newPath })
+function createApi(plugin) {
+  const getFile = (fileOrPath) => {
+    const file =
+      typeof fileOrPath === "string"
+        ? plugin.app.vault.getAbstractFileByPath(normalizePath(fileOrPath))
+        : fileOrPath;
+    if (!(file instanceof TFile) || file.extension !== "md") {
+      throw new Error(`Hot Folder: ${fileOrPath} is not a markdown file`);
+    }
+    return file;
+  };
+  // What callers get back for a planned or applied change
+  const describe = (plan) =>
+    plan && {
+      path: plan.file.path,
+      ruleIds: plan.ruleIds,
+      changedKeys: plan.changedKeys,
+      before: plan.before,
+      after: plan.after,
+    };
+
+  return {
+    // Copies of the saved rules, in priority order
+    getRules() {
+      return deepClone(plugin.settings.rules);
+    },
+
+    // Active rules whose folder matches `path`. Conditions on the note's
+    // content aren't checked here; planChanges does that.
+    getMatchingRules(path) {
+      return plugin
+        .getRuleMatches(normalizePath(path))
+        .map((m) => deepClone(m.rule));
+    },
+
+    // The change applying the rules would make, without writing:
+    // null when the note is up to date, otherwise
+    // { path, ruleIds, changedKeys, before, after } with the frontmatter
+    // before and after. `options.trigger` defaults to "manual".
+    async planChanges(fileOrPath, options = {}) {
+      const plan = await plugin.planRules(
+        getFile(fileOrPath),
+        Object.assign({ trigger: "manual" }, options),
+      );
+      return describe(plan);
+    },
+
+    // Apply the rules now. Resolves to the change made, as planChanges
+    // describes it, or null when nothing changed.
+    async apply(fileOrPath, options = {}) {
+      options = Object.assign({ trigger: "manual" }, options);
+      const plan = await plugin.planRules(getFile(fileOrPath), options);
+      if (!plan) return null;
+      await plugin.applyPlan(plan, options);
+      return describe(plan);
+    },
+
+    // Add a rule until the plugin unloads, without saving it. Takes the same
+    // shape as a saved rule ({ folder, frontmatter, ... }) and returns a
+    // function that removes it again.
+    registerRule(rule) {
+      const registered = Object.assign({ id: createId() }, deepClone(rule));
+      plugin.runtimeRules.push(registered);
+      return () => {
+        plugin.runtimeRules = plugin.runtimeRules.filter(
+          (r) => r !== registered,
+        );
+      };
+    },
+  };
+}
+
+/* ---------------------------- Field types ---------------------------- */
+
+// Obsidian's property types and the field type each corresponds to
+const OBSIDIAN_PROPERTY_TYPES = {
+  text: "text",
+  multitext: "list",
+  tags: "list",
+  aliases: "list",
+  number: "number",
+  checkbox: "checkbox",
+  date: "date",
+  datetime: "datetime",
+};
+
+// The field type for the type Obsidian has assigned to a property, if any
+function getAssignedFieldType(app, key) {
+  const manager = app.metadataTypeManager;
+  if (!manager || typeof manager.getAssignedType !== "function") return "";
+  return OBSIDIAN_PROPERTY_TYPES[manager.getAssignedType(key)] || "";
+}
+
+// Returns an error message when a field's value doesn't fit its type.
+// Values with placeholders are only checked once rendered.
+function validateFieldValue(value, type) {
+  const invalid = toArray(value).find((x) => {
+    const str = String(x);
+    if (str.includes("{{")) return false;
+    switch (type) {
+      case "number":
+        return !isFinite(Number(str)) || str.trim() === "";
+      case "date":
+        return !moment(str, "YYYY-MM-DD", true).isValid();
+      case "datetime":
+        return !moment(
+          str,
+          ["YYYY-MM-DDTHH:mm", "YYYY-MM-DDTHH:mm:ss"],
+          true,
+        ).isValid();
+      default:
+        return false;
+    }
+  });
+  if (invalid === undefined) return null;
+  const expected = {
+    number: "a number",
+    date: "a date (YYYY-MM-DD)",
+    datetime: "a date and time (YYYY-MM-DDTHH:mm)",
+  };
+  return `"${invalid}" is not ${expected[type]}`;
+}
+
+/* --------------------------- Settings UI ---------------------------- */
+
+class AutoFMSettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+    // Conflicts of the rules as last shown, as { key, conflicts }
+    this.conflictCache = null;
+  }
+
+  hide() {
+    // The vault may change before the tab is opened again
+    this.conflictCache = null;
+  }
+
+  // Rules that set different values for the same key on the same notes.
+  // Checking every rule against every note is slow in large vaults, so the
+  // result is reused until the rules or list keys change.
+  getConflicts() {
+    const rules = this.plugin.getActiveRules();
+    const key = JSON.stringify([rules, this.plugin.settings.listKeys]);
+    if (!this.conflictCache || this.conflictCache.key !== key) {
+      this.conflictCache = {
+        key,
+        conflicts: findRuleConflicts(
+          rules,
+          this.app.vault.getMarkdownFiles().map((f) => f.path),
+          this.plugin.settings.listKeys,
+        ),
+      };
+    }
+    return this.conflictCache.conflicts;
+  }
+
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+    containerEl.addClass("hot-folder-settings");
+
+    // Header
+    containerEl.createEl("h1", { text: "Hot Folder" });
+
+    // Description
+    const desc = containerEl.createEl("div", {
+      cls: "setting-item-description",
+    });
+    desc.setText(
+      "Automatically add frontmatter to notes based on their folder location. When a note is created or moved into a matching folder, the specified frontmatter will be merged into the note. When several rules set the same property, the one lower in the list wins.",
+    );
+
+    // Empty state
+    if (this.plugin.settings.rules.length === 0) {
+      const empty = containerEl.createDiv("hot-folder-empty-state");
+      empty.createEl("div", { text: "No rules configured" });
+      empty.createEl("div", {
+        cls: "setting-item-description",
+        text: "Add your first rule to automatically apply frontmatter based on folder paths.",
+      });
+    }
+
+    const conflicts = this.getConflicts();
+
+    // List existing rules
+    this.plugin.settings.rules.forEach((rule, index) => {
+      const setting = new Setting(containerEl).setClass(
+        "hot-folder-rule-setting",
+      );
+
+      if (!this.plugin.isRuleActive(rule)) {
+        setting.settingEl.addClass("is-disabled");
+      }
+
+      // Rule header with name and folder
+      const header = setting.nameEl.createDiv("hot-folder-rule-header");
+      if (rule.name) {
+        header.createSpan({ cls: "hot-folder-rule-name", text: rule.name });
+      }
+      header.createSpan({ text: "Folder: " });
+      header.createSpan({
+        cls: "hot-folder-folder-badge hot-folder-mono",
+        text: rule.folder || "(not set)",
+      });
+      const conflicted = conflicts.some(
+        (c) => c.loser.id === rule.id || c.winner.id === rule.id,
+      );
+      if (conflicted) {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-rule-warning hot-folder-text-small",
+          text: "⚠ Conflicts",
+          attr: { title: "Sets a key another rule also sets, see below." },
+        });
+      }
+      if (!this.plugin.ruleFolderExists(rule)) {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-rule-warning hot-folder-text-small",
+          text: "⚠ Folder not found",
+          attr: { title: "No folder in the vault matches this rule's path." },
+        });
+      }
+      if (rule.conditions && rule.conditions.length > 0) {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-text-small hot-folder-text-muted",
+          text: `+${rule.conditions.length} condition${rule.conditions.length === 1 ? "" : "s"}`,
+        });
+      }
+      if (rule.matchMode && rule.matchMode !== "contains") {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-text-small hot-folder-text-muted",
+          text: MATCH_MODES[rule.matchMode],
+        });
+      }
+      if (rule.removeOnLeave) {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-text-small hot-folder-text-muted",
+          text: "Removed on leave",
+        });
+      }
+      if (rule.migrations && rule.migrations.length > 0) {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-text-small hot-folder-text-muted",
+          text: `${rule.migrations.length} migration${rule.migrations.length === 1 ? "" : "s"}`,
+        });
+      }
+      if (rule.body) {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-text-small hot-folder-text-muted",
+          text: "Adds body text",
+        });
+      }
+      if (rule.exclude && rule.exclude.length > 0) {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-text-small hot-folder-text-muted",
+          text: `${rule.exclude.length} excluded`,
+        });
+      }
+      if (rule.group) {
+        header.createSpan({
+          cls: "hot-folder-rule-flag hot-folder-text-small hot-folder-text-muted",
+          text: `Group: ${rule.group}${this.plugin.isGroupEnabled(rule.group) ? "" : " (off)"}`,
+        });
+      }
+
+      // Display frontmatter fields
+      if (rule.frontmatter && Object.keys(rule.frontmatter).length > 0) {
+        const fieldsGrid = setting.descEl.createDiv("hot-folder-fields-grid");
+
+        for (const [key, value] of Object.entries(rule.frontmatter)) {
+          const fieldItem = fieldsGrid.createDiv("hot-folder-field-item");
+          const fieldKey = fieldItem.createDiv("hot-folder-field-key");
+          fieldKey.setText(key);
+          const { strategy, type, live } =
+            (rule.fieldOptions || {})[key] || {};
+          const notes = [
+            type && FIELD_TYPES[type],
+            strategy && MERGE_STRATEGIES[strategy],
+            live && "Live",
+          ].filter(Boolean);
+          if (notes.length > 0) {
+            fieldKey.createSpan({
+              cls: "hot-folder-text-small hot-folder-text-muted",
+              text: ` (${notes.join(", ").toLowerCase()})`,
+            });
+          }
+
+          const fieldValue = fieldItem.createDiv("hot-folder-field-value");
 
           if (Array.isArray(value)) {
             fieldValue.setText(value.join(", "));
@@ -448,6 +1683,41 @@ class AutoFMSettingTab extends PluginSettingTab {
         setting.setDesc("No frontmatter fields defined");
       }
 
+      // Enabled toggle
+      setting.addToggle((toggle) =>
+        toggle
+          .setTooltip("Enable this rule")
+          .setValue(rule.enabled !== false)
+          .onChange(async (value) => {
+            if (value) delete rule.enabled;
+            else rule.enabled = false;
+            await this.plugin.saveSettings();
+            this.display();
+          }),
+      );
+
+      // Order: later rules win when they set the same property
+      const rules = this.plugin.settings.rules;
+      const move = async (to) => {
+        rules.splice(to, 0, rules.splice(index, 1)[0]);
+        await this.plugin.saveSettings();
+        this.display();
+      };
+      setting.addExtraButton((btn) =>
+        btn
+          .setIcon("arrow-up")
+          .setTooltip("Move up")
+          .setDisabled(index === 0)
+          .onClick(() => index > 0 && move(index - 1)),
+      );
+      setting.addExtraButton((btn) =>
+        btn
+          .setIcon("arrow-down")
+          .setTooltip("Move down")
+          .setDisabled(index === rules.length - 1)
+          .onClick(() => index < rules.length - 1 && move(index + 1)),
+      );
+
       // Edit button
       setting.addButton((btn) =>
         btn
@@ -491,6 +1761,7 @@ class AutoFMSettingTab extends PluginSettingTab {
           .setCta()
           .onClick(async () => {
             const newRule = {
+              id: createId(),
               folder: "",
               frontmatter: {},
             };
@@ -507,180 +1778,2034 @@ class AutoFMSettingTab extends PluginSettingTab {
             modal.open();
           }),
       );
-  }
-}
 
-/* ----------------------------- Edit Modal ----------------------------- */
+    // Lint: conflicting values
+    if (conflicts.length > 0) {
+      new Setting(containerEl)
+        .setName("Conflicts")
+        .setDesc(
+          "These rules set different values for the same property on the same notes. The rule lower in the list wins; reorder the rules or give one of them a merge strategy such as 'Set if missing'. Conditions are not taken into account.",
+        )
+        .setHeading();
+      const list = containerEl.createEl("ul", { cls: "hot-folder-conflicts" });
+      const name = (rule) => rule.name || rule.folder;
+      for (const c of conflicts) {
+        const item = list.createEl("li");
+        item.createSpan({ cls: "hot-folder-mono", text: c.key });
+        item.appendText(
+          `: ${name(c.loser)} (${formatValue(c.loser.frontmatter[c.key])}) vs ${name(c.winner)} (${formatValue(c.winner.frontmatter[c.key])}). `,
+        );
+        item.createEl("strong", { text: `${name(c.winner)} wins` });
+        item.createSpan({
+          cls: "hot-folder-text-small hot-folder-text-muted",
+          text: ` on ${c.count} note${c.count === 1 ? "" : "s"}, e.g. ${c.sample}`,
+        });
+      }
+    }
 
-class RuleEditModal extends Modal {
-  // onSave: (rule) => void
-  // if creating, we can prefill a default rule
-  constructor(app, rule, onSave, isNew = false) {
-    super(app);
-    this.rule = deepClone(rule || { folder: "", frontmatter: {} });
-    this.onSave = onSave;
-    this.isNew = isNew;
-  }
+    // Rule groups
+    const groups = this.plugin.getRuleGroups();
+    if (groups.length > 0) {
+      new Setting(containerEl)
+        .setName("Rule groups")
+        .setDesc("Switch every rule in a group on or off at once.")
+        .setHeading();
+      for (const group of groups) {
+        new Setting(containerEl).setName(group).addToggle((toggle) =>
+          toggle
+            .setValue(this.plugin.isGroupEnabled(group))
+            .onChange((value) => this.plugin.setGroupEnabled(group, value)),
+        );
+      }
+    }
 
-  onOpen() {
-    const { contentEl } = this;
-    contentEl.empty();
+    // Routing rules
+    this.displayRoutes(containerEl);
 
-    // Header
-    contentEl.createEl("h2", {
-      text: this.isNew ? "Add new rule" : "Edit rule",
-    });
+    // General options
+    new Setting(containerEl).setName("General").setHeading();
 
-    // Folder path setting
-    new Setting(contentEl)
-      .setName("Folder path")
+    // List keys
+    new Setting(containerEl)
+      .setName("List keys")
       .setDesc(
-        "The folder path to match (e.g., 'People/Authors' or 'Projects'). Matching is prefix-based.",
+        "Comma-separated properties that are always treated as lists, so single values are appended instead of overwriting.",
       )
       .addText((text) =>
         text
-          .setPlaceholder("folder/subfolder")
-          .setValue(this.rule.folder || "")
-          .onChange((value) => {
-            this.rule.folder = (value || "").replace(/^\/+|\/+$/g, "");
+          .setPlaceholder("tags, tag, keywords")
+          .setValue(this.plugin.settings.listKeys.join(", "))
+          .onChange(async (value) => {
+            this.plugin.settings.listKeys = value
+              .split(",")
+              .map((x) => x.trim())
+              .filter(Boolean);
+            await this.plugin.saveSettings();
           }),
       );
 
-    // Frontmatter fields header
-    const frontmatterSetting = new Setting(contentEl)
-      .setName("Frontmatter fields")
+    new Setting(containerEl)
+      .setName("Folder notes")
       .setDesc(
-        "Define the properties to add to notes in this folder. Use commas for multiple values (e.g., 'work, project').",
+        "Let a folder note ('Projects/Projects.md' or 'Projects/_folder.md') declare values for the notes in its folder under a 'hot-folder' property. Subfolders inherit them and their own folder notes override them.",
       )
-      .setHeading();
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.folderNotes)
+          .onChange(async (value) => {
+            this.plugin.settings.folderNotes = value;
+            await this.plugin.saveSettings();
+          }),
+      );
 
-    // Key-Value editor container
-    this.kvContainer = contentEl.createDiv();
-    this.renderKVRows();
+    // Global ignore list
+    new Setting(containerEl)
+      .setName("Ignored paths")
+      .setDesc(
+        "Folders or globs, one per line, that rules and routes never touch (e.g. templates and attachments). A single note can opt out with 'hot-folder: false', or protect some properties with 'hot-folder-ignore: [tags]'.",
+      )
+      .addTextArea((text) =>
+        text
+          .setPlaceholder("Templates\nAttachments\n**/_*.md")
+          .setValue(this.plugin.settings.ignorePaths.join("\n"))
+          .onChange(async (value) => {
+            this.plugin.settings.ignorePaths = splitLines(value);
+            await this.plugin.saveSettings();
+          }),
+      );
 
-    // Add field button
-    new Setting(contentEl).addButton((btn) =>
-      btn.setButtonText("Add field").onClick(() => {
-        if (!this.rule.frontmatter) this.rule.frontmatter = {};
-        this.rule.frontmatter["key"] = "";
-        this.renderKVRows();
-      }),
-    );
+    new Setting(containerEl)
+      .setName("Confirm folder renames")
+      .setDesc(
+        "When a folder used by rules is renamed, ask before updating the rules. Otherwise they are updated automatically.",
+      )
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.confirmFolderRenames)
+          .onChange(async (value) => {
+            this.plugin.settings.confirmFolderRenames = value;
+            await this.plugin.saveSettings();
+          }),
+      );
 
-    // Footer buttons
-    new Setting(contentEl)
-      .addButton((btn) =>
-        btn.setButtonText("Cancel").onClick(() => this.close()),
+    // Rules file
+    new Setting(containerEl)
+      .setName("Rules file")
+      .setDesc(
+        "Keep rules in a vault file (.md, .yaml or .json) so they can be versioned, shared and edited in bulk. Edits to the file are picked up automatically. Changing rules here rewrites a .yaml or .json file as a whole, dropping its comments; a .md file keeps them. Leave empty to keep rules in the plugin settings.",
+      )
+      .addText((text) =>
+        text
+          .setPlaceholder("Hot Folder rules.md")
+          .setValue(this.plugin.settings.rulesFile)
+          .onChange(async (value) => {
+            this.plugin.settings.rulesFile = value.trim();
+            this.plugin.rulesFileContent = null;
+            await this.plugin.saveData(
+              Object.assign({}, this.plugin.settings, {
+                journal: this.plugin.journal,
+              }),
+            );
+          }),
       )
       .addButton((btn) =>
         btn
-          .setButtonText(this.isNew ? "Create rule" : "Save changes")
-          .setCta()
-          .onClick(() => {
-            // Clean up frontmatter
-            const cleaned = {};
-            for (const [k, v] of Object.entries(this.rule.frontmatter || {})) {
-              const key = String(k).trim();
-              if (!key) continue;
-              if (Array.isArray(v)) {
-                const arr = v.map((x) => String(x).trim()).filter(Boolean);
-                if (arr.length > 0) cleaned[key] = arr;
-              } else {
-                const value = String(v).trim();
-                if (value) cleaned[key] = value;
-              }
-            }
-            this.rule.frontmatter = cleaned;
-            if (!this.rule.folder || !this.rule.folder.trim()) {
-              new Notice("Folder path is required.");
-              return;
-            }
-            this.close();
-            this.onSave && this.onSave(deepClone(this.rule));
+          .setButtonText("Use file")
+          .setTooltip("Load rules from the file, or create it from the current rules")
+          .onClick(async () => {
+            await this.plugin.connectRulesFile();
+            this.display();
           }),
       );
-  }
 
-  renderKVRows() {
-    this.kvContainer.empty();
+    new Setting(containerEl)
+      .setName("Import and export")
+      .setDesc("Share rules between vaults as JSON or YAML.")
+      .addButton((btn) =>
+        btn
+          .setButtonText("Import")
+          .onClick(() => new ImportRulesModal(this.app, this.plugin).open()),
+      )
+      .addButton((btn) =>
+        btn
+          .setButtonText("Export")
+          .onClick(() => new ExportRulesModal(this.app, this.plugin).open()),
+      );
+
+    // Event handling
+    new Setting(containerEl)
+      .setName("Delay before applying")
+      .setDesc(
+        "Milliseconds to wait after a note is created or moved before applying rules. Further changes to the note restart the wait, so templates and sync can finish writing first.",
+      )
+      .addText((text) =>
+        text
+          .setPlaceholder("500")
+          .setValue(String(this.plugin.settings.eventDelay))
+          .onChange(async (value) => {
+            const delay = parseInt(value, 10);
+            if (isNaN(delay) || delay < 0) return;
+            this.plugin.settings.eventDelay = delay;
+            await this.plugin.saveSettings();
+          }),
+      );
+
+    new Setting(containerEl)
+      .setName("Delay before updating live fields")
+      .setDesc(
+        "Milliseconds an edited note has to stay unchanged before its live fields are recomputed. Keep it long enough not to write while you type.",
+      )
+      .addText((text) =>
+        text
+          .setPlaceholder("3000")
+          .setValue(String(this.plugin.settings.liveDelay))
+          .onChange(async (value) => {
+            const delay = parseInt(value, 10);
+            if (isNaN(delay) || delay < 0) return;
+            this.plugin.settings.liveDelay = delay;
+            await this.plugin.saveSettings();
+          }),
+      );
+
+    new Setting(containerEl)
+      .setName("Only new notes from this session")
+      .setDesc(
+        "Ignore created notes that existed before Obsidian was opened, such as notes arriving from a sync service. Moves and renames are still handled.",
+      )
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.onlySessionNotes)
+          .onChange(async (value) => {
+            this.plugin.settings.onlySessionNotes = value;
+            await this.plugin.saveSettings();
+          }),
+      );
+
+    // Journal size
+    new Setting(containerEl)
+      .setName("Journal size")
+      .setDesc(
+        "How many rule applications are remembered for undo. Older entries are dropped first.",
+      )
+      .addText((text) =>
+        text
+          .setPlaceholder("500")
+          .setValue(String(this.plugin.settings.journalLimit))
+          .onChange(async (value) => {
+            const limit = parseInt(value, 10);
+            if (isNaN(limit) || limit < 0) return;
+            this.plugin.settings.journalLimit = limit;
+            await this.plugin.saveSettings();
+          }),
+      )
+      .addButton((btn) =>
+        btn.setButtonText("Clear journal").onClick(async () => {
+          this.plugin.journal = [];
+          await this.plugin.saveSettings();
+          this.plugin.refreshViews(VIEW_TYPE_JOURNAL);
+          new Notice("Auto Frontmatter: journal cleared.");
+        }),
+      );
+  }
+
+  // Routing rules move notes into a folder based on their properties
+  displayRoutes(containerEl) {
+    new Setting(containerEl)
+      .setName("Routing rules")
+      .setDesc(
+        "Move notes into a folder when their properties match, e.g. status 'done' → 'Archive/{{year}}'. The destination folder's rules are then applied.",
+      )
+      .setHeading();
+
+    this.plugin.settings.routes.forEach((route, index) => {
+      const setting = new Setting(containerEl).setClass(
+        "hot-folder-rule-setting",
+      );
+      const header = setting.nameEl.createDiv("hot-folder-rule-header");
+      header.createSpan({ text: "Move to: " });
+      header.createSpan({
+        cls: "hot-folder-folder-badge hot-folder-mono",
+        text: route.target || "(not set)",
+      });
+      setting.setDesc(describeConditions(route));
+
+      setting.addButton((btn) =>
+        btn.setButtonText("Edit").onClick(() => {
+          new RouteEditModal(this.app, route, async (updated) => {
+            this.plugin.settings.routes[index] = updated;
+            await this.plugin.saveSettings();
+            this.display();
+          }).open();
+        }),
+      );
+      setting.addButton((btn) =>
+        btn
+          .setButtonText("Delete")
+          .setWarning()
+          .onClick(async () => {
+            this.plugin.settings.routes.splice(index, 1);
+            await this.plugin.saveSettings();
+            this.display();
+          }),
+      );
+    });
+
+    new Setting(containerEl)
+      .setName("Route on property change")
+      .setDesc(
+        "Check routing rules whenever a note's properties change. Without it, routing only runs from the commands.",
+      )
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.routeOnChange)
+          .onChange(async (value) => {
+            this.plugin.settings.routeOnChange = value;
+            await this.plugin.saveSettings();
+          }),
+      )
+      .addButton((btn) =>
+        btn.setButtonText("Add routing rule").onClick(() => {
+          new RouteEditModal(
+            this.app,
+            { id: createId(), target: "", conditions: [] },
+            async (route) => {
+              this.plugin.settings.routes.push(route);
+              await this.plugin.saveSettings();
+              this.display();
+            },
+            true,
+          ).open();
+        }),
+      );
+  }
+}
+
+/* ----------------------------- Edit Modal ----------------------------- */
+
+const FIELD_PLACEHOLDERS = {
+  "": "Field value (use commas for multiple values)",
+  text: "Field value",
+  list: "Values, separated by commas",
+  number: "Number",
+  date: "YYYY-MM-DD or {{date}}",
+  datetime: "YYYY-MM-DDTHH:mm or {{date:YYYY-MM-DDTHH:mm}}",
+  link: "Note name",
+};
+
+class RuleEditModal extends Modal {
+  // onSave: (rule) => void
+  // if creating, we can prefill a default rule
+  constructor(app, rule, onSave, isNew = false) {
+    super(app);
+    this.rule = deepClone(rule || { folder: "", frontmatter: {} });
+    this.onSave = onSave;
+    this.isNew = isNew;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    // Header
+    contentEl.createEl("h2", {
+      text: this.isNew ? "Add new rule" : "Edit rule",
+    });
+
+    // Name and group
+    new Setting(contentEl)
+      .setName("Name")
+      .setDesc("Optional, shown in the rule list and the journal.")
+      .addText((text) =>
+        text
+          .setPlaceholder("Project notes")
+          .setValue(this.rule.name || "")
+          .onChange((value) => {
+            this.rule.name = value;
+          }),
+      );
+    new Setting(contentEl)
+      .setName("Group")
+      .setDesc(
+        "Rules in the same group (e.g. 'Semester 2') can be switched on and off together.",
+      )
+      .addText((text) =>
+        text
+          .setPlaceholder("None")
+          .setValue(this.rule.group || "")
+          .onChange((value) => {
+            this.rule.group = value;
+          }),
+      );
+
+    // Match mode setting
+    new Setting(contentEl)
+      .setName("Match mode")
+      .setDesc("How the folder path below is compared with a note's location.")
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOptions(MATCH_MODES)
+          .setValue(this.rule.matchMode || "contains")
+          .onChange((value) => {
+            this.rule.matchMode = value;
+            this.requestMatchPreview();
+          }),
+      );
+
+    // Folder path setting, with the vault's folders as suggestions
+    new Setting(contentEl)
+      .setName("Folder path")
+      .setDesc(
+        "The folder path to match (e.g., 'People/Authors' or 'Projects'). Globs support '*' and '**' (e.g., 'Clients/*/Invoices'); regexes are tested against the note path and their named groups (e.g., 'Clients/(?<client>[^/]+)/') can be used as {{client}} in values.",
+      )
+      .addText((text) => {
+        text
+          .setPlaceholder("folder/subfolder")
+          .setValue(this.rule.folder || "")
+          .onChange((value) => {
+            this.rule.folder = value || "";
+            this.requestMatchPreview();
+          });
+        const listId = `hot-folder-folders-${createId()}`;
+        const datalist = contentEl.createEl("datalist", {
+          attr: { id: listId },
+        });
+        for (const folder of this.app.vault.getAllLoadedFiles()) {
+          if (folder instanceof TFolder && !folder.isRoot()) {
+            datalist.createEl("option", { attr: { value: folder.path } });
+          }
+        }
+        text.inputEl.setAttribute("list", listId);
+      });
+
+    // Live preview of the notes the folder pattern matches
+    this.matchPreviewEl = contentEl.createDiv("hot-folder-match-preview");
+    this.requestMatchPreview = debounce(
+      () => this.renderMatchPreview(),
+      300,
+      true,
+    );
+    this.renderMatchPreview();
+
+    // Remove on leave
+    new Setting(contentEl)
+      .setName("Remove on leave")
+      .setDesc(
+        "When a note is moved out of this folder, remove the values this rule added. Values added by hand are kept.",
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(!!this.rule.removeOnLeave).onChange((value) => {
+          this.rule.removeOnLeave = value;
+        }),
+      );
+
+    // Exclusions
+    new Setting(contentEl)
+      .setName("Exclude")
+      .setDesc(
+        "Folders or globs, one per line, that this rule skips (e.g. 'Projects/Templates').",
+      )
+      .addTextArea((text) =>
+        text
+          .setPlaceholder("Projects/Templates")
+          .setValue((this.rule.exclude || []).join("\n"))
+          .onChange((value) => {
+            this.rule.exclude = splitLines(value);
+            this.requestMatchPreview();
+          }),
+      );
+
+    // Frontmatter fields header
+    const frontmatterSetting = new Setting(contentEl)
+      .setName("Frontmatter fields")
+      .setDesc(
+        "Define the properties to add to notes in this folder. Pick a type for each field, or leave it on Auto to use commas for multiple values (e.g., 'work, project'). Each field can choose how it merges with existing values; by default lists and list keys append and other values are overwritten. Values can use {{title}}, {{folder}}, {{parent}}, {{path}}, {{date:YYYY-MM-DD}}, {{ctime}}, {{mtime}} and {{words}}. Mark a field live (⟳) to recompute it every time the note is edited.",
+      )
+      .setHeading();
+
+    // Key-Value editor container
+    this.kvContainer = contentEl.createDiv();
+    this.renderKVRows();
+
+    // Add field button
+    new Setting(contentEl).addButton((btn) =>
+      btn.setButtonText("Add field").onClick(() => {
+        if (!this.rule.frontmatter) this.rule.frontmatter = {};
+        // A placeholder name that doesn't clash with an existing row
+        let key = "key";
+        for (let n = 2; key in this.rule.frontmatter; n++) key = `key-${n}`;
+        this.rule.frontmatter[key] = "";
+        this.renderKVRows();
+      }),
+    );
+
+    // Body text
+    new Setting(contentEl)
+      .setName("Note body")
+      .setDesc(
+        "Optionally insert a skeleton into the note body, from inline text or a template file, when a note is created. Moving a note or applying rules by command doesn't insert it again. The same {{placeholders}} as field values are available.",
+      )
+      .setHeading();
+    this.bodyContainer = contentEl.createDiv();
+    this.renderBodySettings();
+
+    // Migrations
+    new Setting(contentEl)
+      .setName("Migrations")
+      .setDesc(
+        "Rename, merge, transform or delete existing keys before the fields above are added, e.g. to move notes from 'type' to 'category'.",
+      )
+      .setHeading();
+    renderMigrationsEditor(contentEl.createDiv(), this.rule);
+
+    // Extra conditions
+    new Setting(contentEl)
+      .setName("Conditions")
+      .setDesc(
+        "Optionally require more than the folder match. Notes in the folder that don't meet the conditions are left untouched.",
+      )
+      .setHeading();
+    renderConditionsEditor(contentEl.createDiv(), this.rule);
+
+    // Footer buttons
+    new Setting(contentEl)
+      .addButton((btn) =>
+        btn.setButtonText("Cancel").onClick(() => this.close()),
+      )
+      .addButton((btn) =>
+        btn
+          .setButtonText(this.isNew ? "Create rule" : "Save changes")
+          .setCta()
+          .onClick(() => {
+            // A field renamed to a name another field uses still has its
+            // old name; saving would silently keep it
+            const duplicate = this.kvContainer.querySelector(
+              "input.hot-folder-invalid",
+            );
+            if (duplicate) {
+              new Notice(
+                `"${duplicate.value}" is used by another field. Give each field its own name before saving.`,
+              );
+              duplicate.focus();
+              return;
+            }
+
+            // Clean up frontmatter
+            const cleaned = {};
+            const cleanedOptions = {};
+            const fieldOptions = this.rule.fieldOptions || {};
+            for (const [k, v] of Object.entries(this.rule.frontmatter || {})) {
+              const key = String(k).trim();
+              if (!key) continue;
+              const { strategy, type, live } = fieldOptions[k] || {};
+              if (Array.isArray(v)) {
+                const arr = v.map((x) => String(x).trim()).filter(Boolean);
+                if (arr.length > 0) cleaned[key] = arr;
+              } else if (typeof v === "boolean" || typeof v === "number") {
+                cleaned[key] = v;
+              } else {
+                const value = String(v).trim();
+                // "Delete key" fields need no value
+                if (value || strategy === "delete-key") cleaned[key] = value;
+              }
+              if (!(key in cleaned)) continue;
+              const error = validateFieldValue(cleaned[key], type);
+              if (error) {
+                new Notice(`${key}: ${error}.`);
+                return;
+              }
+              if (strategy || type || live) {
+                cleanedOptions[key] = {};
+                if (strategy) cleanedOptions[key].strategy = strategy;
+                if (type) cleanedOptions[key].type = type;
+                if (live) cleanedOptions[key].live = true;
+              }
+            }
+            this.rule.frontmatter = cleaned;
+            this.rule.fieldOptions = cleanedOptions;
+            cleanConditions(this.rule);
+            cleanMigrations(this.rule);
+            if (
+              this.rule.body &&
+              !(this.rule.body.source === "file"
+                ? this.rule.body.file
+                : (this.rule.body.text || "").trim())
+            ) {
+              delete this.rule.body;
+            }
+            for (const key of ["name", "group"]) {
+              this.rule[key] = (this.rule[key] || "").trim();
+              if (!this.rule[key]) delete this.rule[key];
+            }
+            if (!this.rule.exclude || this.rule.exclude.length === 0) {
+              delete this.rule.exclude;
+            }
+            if (this.rule.matchMode !== "regex") {
+              this.rule.folder = (this.rule.folder || "").replace(
+                /^\/+|\/+$/g,
+                "",
+              );
+            }
+            if (!this.rule.folder || !this.rule.folder.trim()) {
+              new Notice("Folder path is required.");
+              return;
+            }
+            if (
+              this.rule.matchMode === "regex" &&
+              !compileRegExp(this.rule.folder, "i")
+            ) {
+              new Notice("Folder pattern is not a valid regular expression.");
+              return;
+            }
+            if (
+              this.rule.conditions.some(
+                (c) => c.type === "filename" && !compileRegExp(c.value, "i"),
+              )
+            ) {
+              new Notice("File name condition is not a valid regular expression.");
+              return;
+            }
+            this.close();
+            this.onSave && this.onSave(deepClone(this.rule));
+          }),
+      );
+  }
+
+  renderMatchPreview() {
+    const el = this.matchPreviewEl;
+    el.empty();
+    if (!this.rule.folder) return;
+    if (
+      this.rule.matchMode === "regex" &&
+      !compileRegExp(this.rule.folder, "i")
+    ) {
+      el.createDiv({
+        cls: "mod-warning",
+        text: "Not a valid regular expression.",
+      });
+      return;
+    }
+
+    const paths = this.app.vault
+      .getMarkdownFiles()
+      .map((f) => f.path)
+      .filter((path) => findRuleMatches([this.rule], path).length > 0);
+    el.createDiv({
+      cls: paths.length === 0 ? "mod-warning" : "setting-item-description",
+      text:
+        paths.length === 0
+          ? "Matches no notes yet."
+          : `Matches ${paths.length} note${paths.length === 1 ? "" : "s"}, e.g.:`,
+    });
+    const list = el.createEl("ul", {
+      cls: "hot-folder-text-small hot-folder-mono",
+    });
+    for (const path of paths.slice(0, 5)) list.createEl("li", { text: path });
+  }
+
+  renderBodySettings() {
+    const containerEl = this.bodyContainer;
+    containerEl.empty();
+    const body = this.rule.body;
+
+    new Setting(containerEl).setName("Insert").addDropdown((dd) =>
+      dd
+        .addOptions({ "": "Nothing", text: "Text", file: "Template file" })
+        .setValue(body ? body.source : "")
+        .onChange((source) => {
+          if (source) {
+            this.rule.body = Object.assign(
+              { position: "if-empty" },
+              this.rule.body,
+              { source },
+            );
+          } else {
+            delete this.rule.body;
+          }
+          this.renderBodySettings();
+        }),
+    );
+    if (!body) return;
+
+    new Setting(containerEl).setName("Where").addDropdown((dd) =>
+      dd
+        .addOptions(BODY_POSITIONS)
+        .setValue(body.position || "if-empty")
+        .onChange((position) => {
+          body.position = position;
+          this.renderBodySettings();
+        }),
+    );
+    if (body.position === "heading") {
+      new Setting(containerEl)
+        .setName("Heading")
+        .setDesc("Added at the bottom when the note doesn't have it yet.")
+        .addText((text) =>
+          text
+            .setPlaceholder("Action items")
+            .setValue(body.heading || "")
+            .onChange((value) => {
+              body.heading = value.trim();
+            }),
+        );
+    }
+
+    if (body.source === "file") {
+      new Setting(containerEl).setName("Template file").addText((text) =>
+        text
+          .setPlaceholder("Templates/Meeting.md")
+          .setValue(body.file || "")
+          .onChange((value) => {
+            body.file = value.trim();
+          }),
+      );
+    } else {
+      new Setting(containerEl)
+        .setClass("hot-folder-textarea-setting")
+        .addTextArea((text) => {
+          text.inputEl.rows = 6;
+          text
+            .setPlaceholder("## Attendees\n\n## Notes\n\n## Action items")
+            .setValue(body.text || "")
+            .onChange((value) => {
+              body.text = value;
+            });
+        });
+    }
+  }
+
+  renderKVRows() {
+    this.kvContainer.empty();
     if (!this.rule.frontmatter) this.rule.frontmatter = {};
+    if (!this.rule.fieldOptions) this.rule.fieldOptions = {};
+
+    Object.entries(this.rule.frontmatter).forEach(([key, value]) => {
+      const setting = new Setting(this.kvContainer);
+
+      // Key input
+      setting.addText((text) => {
+        text
+          .setPlaceholder("Field name (e.g., tags, type, category)")
+          .setValue(key)
+          .onChange((newKey) => {
+            // Another row already uses this name: keep the old one until
+            // the name is unique
+            const duplicate = newKey !== key && newKey in this.rule.frontmatter;
+            text.inputEl.toggleClass("hot-folder-invalid", duplicate);
+            text.inputEl.title = duplicate
+              ? `"${newKey}" is already used by another field`
+              : "";
+            if (newKey !== key && !duplicate) {
+              const cur = this.rule.frontmatter[key];
+              delete this.rule.frontmatter[key];
+              this.rule.frontmatter[newKey] = cur;
+              if (this.rule.fieldOptions[key]) {
+                this.rule.fieldOptions[newKey] = this.rule.fieldOptions[key];
+                delete this.rule.fieldOptions[key];
+              }
+              key = newKey;
+            }
+          });
+        // Pick up Obsidian's type for the new name once typing is done
+        text.inputEl.addEventListener("blur", () => {
+          const options = this.rule.fieldOptions[key];
+          if (
+            (!options || options.type === undefined) &&
+            getAssignedFieldType(this.app, key)
+          ) {
+            this.renderKVRows();
+          }
+        });
+      });
+
+      // Type, defaulting to the one Obsidian uses for this property
+      const options = this.rule.fieldOptions[key] || {};
+      if (options.type === undefined) {
+        const assigned = getAssignedFieldType(this.app, key);
+        if (assigned) {
+          this.rule.fieldOptions[key] = Object.assign({}, options, {
+            type: assigned,
+          });
+        }
+      }
+      const type = (this.rule.fieldOptions[key] || {}).type || "";
+      setting.addDropdown((dropdown) =>
+        dropdown
+          .addOptions(FIELD_TYPES)
+          .setValue(type)
+          .onChange((newType) => {
+            this.rule.fieldOptions[key] = Object.assign(
+              {},
+              this.rule.fieldOptions[key],
+              { type: newType },
+            );
+            const current = this.rule.frontmatter[key];
+            this.rule.frontmatter[key] =
+              newType && !isEmptyValue(current)
+                ? coerceFieldValue(current, newType)
+                : current;
+            this.renderKVRows();
+          }),
+      );
+
+      // Value input
+      if (type === "checkbox") {
+        // A checkbox field always holds a boolean, so one that is never
+        // toggled saves as false
+        if (typeof value !== "boolean") {
+          value = coerceFieldValue(String(value ?? ""), "checkbox");
+          this.rule.frontmatter[key] = value;
+        }
+        setting.addToggle((toggle) =>
+          toggle.setValue(value === true).onChange((checked) => {
+            this.rule.frontmatter[key] = checked;
+          }),
+        );
+      } else {
+        setting.addText((text) => {
+          const isArray = Array.isArray(value);
+          const initialValue = isArray ? value.join(", ") : String(value ?? "");
+
+          text
+            .setPlaceholder(FIELD_PLACEHOLDERS[type])
+            .setValue(initialValue)
+            .onChange((inputValue) => {
+              const trimmed = inputValue.trim();
+
+              if (type === "list" || (!type && trimmed.includes(","))) {
+                // Auto fields treat commas as separating list items
+                this.rule.frontmatter[key] = coerceFieldValue(trimmed, "list");
+              } else if (type === "number") {
+                this.rule.frontmatter[key] = coerceFieldValue(trimmed, type);
+              } else {
+                this.rule.frontmatter[key] = trimmed;
+              }
+            });
+        });
+      }
+
+      // Merge strategy
+      setting.addDropdown((dropdown) =>
+        dropdown
+          .addOptions(MERGE_STRATEGIES)
+          .setValue((this.rule.fieldOptions[key] || {}).strategy || "")
+          .onChange((strategy) => {
+            if (strategy) {
+              this.rule.fieldOptions[key] = Object.assign(
+                {},
+                this.rule.fieldOptions[key],
+                { strategy },
+              );
+            } else if (this.rule.fieldOptions[key]) {
+              delete this.rule.fieldOptions[key].strategy;
+            }
+          }),
+      );
+
+      // Live fields are recomputed on every edit
+      setting.addExtraButton((btn) => {
+        const update = () => {
+          const live = !!(this.rule.fieldOptions[key] || {}).live;
+          btn.extraSettingsEl.toggleClass("is-active", live);
+          btn.setTooltip(
+            live
+              ? "Live: recomputed whenever the note is edited"
+              : "Applied on create and move only",
+          );
+        };
+        btn.setIcon("refresh-cw").onClick(() => {
+          const options = this.rule.fieldOptions[key] || {};
+          this.rule.fieldOptions[key] = Object.assign({}, options, {
+            live: !options.live,
+          });
+          update();
+        });
+        btn.extraSettingsEl.addClass("hot-folder-live-toggle");
+        update();
+      });
+
+      // Remove button
+      setting.addButton((btn) =>
+        btn
+          .setButtonText("Remove")
+          .setWarning()
+          .onClick(() => {
+            delete this.rule.frontmatter[key];
+            delete this.rule.fieldOptions[key];
+            this.renderKVRows();
+          }),
+      );
+    });
+
+    // Empty state
+    if (Object.keys(this.rule.frontmatter).length === 0) {
+      const emptySetting = new Setting(this.kvContainer);
+      emptySetting.setDesc(
+        "No fields defined. Click 'Add field' above to get started.",
+      );
+      emptySetting.descEl.style.textAlign = "center";
+      emptySetting.descEl.style.fontStyle = "italic";
+      emptySetting.descEl.style.color = "var(--text-muted)";
+    }
+  }
+
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
+/* ---------------------------- Route Modal ---------------------------- */
+
+class RouteEditModal extends Modal {
+  constructor(app, route, onSave, isNew = false) {
+    super(app);
+    this.route = deepClone(route);
+    if (!Array.isArray(this.route.conditions)) this.route.conditions = [];
+    this.onSave = onSave;
+    this.isNew = isNew;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    contentEl.createEl("h2", {
+      text: this.isNew ? "Add routing rule" : "Edit routing rule",
+    });
+
+    new Setting(contentEl)
+      .setName("Destination folder")
+      .setDesc(
+        "Folder to move matching notes into. Supports {{year}}, {{month}}, {{day}}, {{date:FORMAT}} and {{title}}. Notes already inside the folders before the first placeholder aren't moved again.",
+      )
+      .addText((text) =>
+        text
+          .setPlaceholder("Archive/{{year}}")
+          .setValue(this.route.target || "")
+          .onChange((value) => {
+            this.route.target = value.trim();
+          }),
+      );
+
+    new Setting(contentEl)
+      .setName("When")
+      .setDesc("Notes meeting these conditions are moved.")
+      .setHeading();
+    // Routes aren't started by create/move events, so no trigger condition
+    const types = Object.assign({}, CONDITION_TYPES);
+    delete types.trigger;
+    if (this.route.conditions.length === 0) {
+      this.route.conditions.push({ type: "property", operator: "equals" });
+    }
+    renderConditionsEditor(contentEl.createDiv(), this.route, types);
+
+    new Setting(contentEl)
+      .addButton((btn) =>
+        btn.setButtonText("Cancel").onClick(() => this.close()),
+      )
+      .addButton((btn) =>
+        btn
+          .setButtonText(this.isNew ? "Create routing rule" : "Save changes")
+          .setCta()
+          .onClick(() => {
+            cleanConditions(this.route);
+            this.route.target = (this.route.target || "").replace(
+              /^\/+|\/+$/g,
+              "",
+            );
+            if (!this.route.target) {
+              new Notice("Destination folder is required.");
+              return;
+            }
+            if (this.route.conditions.length === 0) {
+              new Notice("Add at least one condition.");
+              return;
+            }
+            this.close();
+            this.onSave && this.onSave(deepClone(this.route));
+          }),
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/* ------------------------- Conditions editor ------------------------- */
+
+// Editor for the `conditions` and `conditionMode` of a rule (or any object
+// with the same shape). Edits `target` in place; `types` limits the
+// condition types offered.
+function renderConditionsEditor(containerEl, target, types = CONDITION_TYPES) {
+  containerEl.empty();
+  if (!Array.isArray(target.conditions)) target.conditions = [];
+  const rerender = () => renderConditionsEditor(containerEl, target, types);
+
+  if (target.conditions.length > 1) {
+    new Setting(containerEl).setName("Combine conditions").addDropdown((dd) =>
+      dd
+        .addOptions({ all: "All must match (AND)", any: "Any may match (OR)" })
+        .setValue(target.conditionMode || "all")
+        .onChange((value) => {
+          target.conditionMode = value;
+        }),
+    );
+  }
+
+  target.conditions.forEach((condition, index) => {
+    const setting = new Setting(containerEl).setClass(
+      "hot-folder-condition-row",
+    );
+
+    setting.addDropdown((dd) =>
+      dd
+        .addOptions(types)
+        .setValue(condition.type)
+        .onChange((type) => {
+          target.conditions[index] = { type };
+          rerender();
+        }),
+    );
+
+    switch (condition.type) {
+      case "property":
+        setting.addText((text) =>
+          text
+            .setPlaceholder("Property")
+            .setValue(condition.key || "")
+            .onChange((value) => {
+              condition.key = value.trim();
+            }),
+        );
+        setting.addDropdown((dd) =>
+          dd
+            .addOptions(PROPERTY_OPERATORS)
+            .setValue(condition.operator || "equals")
+            .onChange((value) => {
+              condition.operator = value;
+              rerender();
+            }),
+        );
+        if (["missing", "exists"].includes(condition.operator)) break;
+        setting.addText((text) =>
+          text
+            .setPlaceholder("Value")
+            .setValue(condition.value || "")
+            .onChange((value) => {
+              condition.value = value.trim();
+            }),
+        );
+        break;
+      case "trigger":
+        if (!condition.value) condition.value = "create";
+        setting.addDropdown((dd) =>
+          dd
+            .addOptions(TRIGGERS)
+            .setValue(condition.value)
+            .onChange((value) => {
+              condition.value = value;
+            }),
+        );
+        break;
+      default:
+        setting.addText((text) =>
+          text
+            .setPlaceholder(CONDITION_PLACEHOLDERS[condition.type] || "")
+            .setValue(condition.value || "")
+            .onChange((value) => {
+              condition.value = value.trim();
+            }),
+        );
+    }
+
+    setting.addButton((btn) =>
+      btn
+        .setButtonText("Remove")
+        .setWarning()
+        .onClick(() => {
+          target.conditions.splice(index, 1);
+          rerender();
+        }),
+    );
+  });
+
+  new Setting(containerEl).addButton((btn) =>
+    btn.setButtonText("Add condition").onClick(() => {
+      target.conditions.push({ type: Object.keys(types)[0], value: "" });
+      rerender();
+    }),
+  );
+}
+
+const CONDITION_PLACEHOLDERS = {
+  filename: "Regex, e.g. ^\\d{4}-\\d{2}-\\d{2}",
+  tag: "#tag",
+  extension: "md",
+  content: "Text",
+};
+
+// One-line summary of a rule's or route's conditions for the settings list
+function describeConditions(target) {
+  const conditions = target.conditions || [];
+  if (conditions.length === 0) return "No conditions";
+  const parts = conditions.map((c) => {
+    if (c.type === "property") {
+      const op = PROPERTY_OPERATORS[c.operator || "equals"];
+      return ["missing", "exists"].includes(c.operator)
+        ? `${c.key} ${op}`
+        : `${c.key} ${op} ${c.value}`;
+    }
+    if (c.type === "trigger") return TRIGGERS[c.value];
+    return `${CONDITION_TYPES[c.type]} ${c.value}`;
+  });
+  return parts.join(target.conditionMode === "any" ? " or " : " and ");
+}
+
+// Drop incomplete conditions before saving
+function cleanConditions(target) {
+  target.conditions = (target.conditions || []).filter((c) => {
+    if (c.type === "property") {
+      return (
+        !!c.key &&
+        (c.operator === "missing" || c.operator === "exists" || !!c.value)
+      );
+    }
+    return !!c.value;
+  });
+  if (target.conditions.length < 2) delete target.conditionMode;
+}
+
+/* ------------------------- Migrations editor ------------------------- */
+
+// Editor for a rule's `migrations`, edited in place
+function renderMigrationsEditor(containerEl, rule) {
+  containerEl.empty();
+  if (!Array.isArray(rule.migrations)) rule.migrations = [];
+  const rerender = () => renderMigrationsEditor(containerEl, rule);
+
+  rule.migrations.forEach((migration, index) => {
+    const setting = new Setting(containerEl).setClass(
+      "hot-folder-condition-row",
+    );
+
+    setting.addDropdown((dd) =>
+      dd
+        .addOptions(MIGRATION_ACTIONS)
+        .setValue(migration.action)
+        .onChange((action) => {
+          rule.migrations[index] = { action, key: migration.key };
+          rerender();
+        }),
+    );
+    setting.addText((text) =>
+      text
+        .setPlaceholder("Key")
+        .setValue(migration.key || "")
+        .onChange((value) => {
+          migration.key = value.trim();
+        }),
+    );
+
+    switch (migration.action) {
+      case "rename":
+      case "merge":
+        setting.addText((text) =>
+          text
+            .setPlaceholder("New key")
+            .setValue(migration.target || "")
+            .onChange((value) => {
+              migration.target = value.trim();
+            }),
+        );
+        break;
+      case "transform":
+        if (!migration.transform) migration.transform = "lowercase";
+        setting.addDropdown((dd) =>
+          dd
+            .addOptions(VALUE_TRANSFORMS)
+            .setValue(migration.transform)
+            .onChange((value) => {
+              migration.transform = value;
+              rerender();
+            }),
+        );
+        if (migration.transform !== "map") break;
+        setting.addTextArea((text) =>
+          text
+            .setPlaceholder("wip: in-progress\ndone: completed")
+            .setValue(
+              Object.entries(migration.map || {})
+                .map(([from, to]) => `${from}: ${to}`)
+                .join("\n"),
+            )
+            .onChange((value) => {
+              migration.map = {};
+              for (const line of splitLines(value)) {
+                const sep = line.indexOf(":");
+                if (sep === -1) continue;
+                const from = line.slice(0, sep).trim();
+                if (from) migration.map[from] = line.slice(sep + 1).trim();
+              }
+            }),
+        );
+        break;
+    }
+
+    setting.addButton((btn) =>
+      btn
+        .setButtonText("Remove")
+        .setWarning()
+        .onClick(() => {
+          rule.migrations.splice(index, 1);
+          rerender();
+        }),
+    );
+  });
+
+  new Setting(containerEl).addButton((btn) =>
+    btn.setButtonText("Add migration").onClick(() => {
+      rule.migrations.push({ action: "rename", key: "" });
+      rerender();
+    }),
+  );
+}
+
+// Drop incomplete migrations before saving
+function cleanMigrations(rule) {
+  rule.migrations = (rule.migrations || []).filter((m) => {
+    if (!m.key) return false;
+    if (m.action === "rename" || m.action === "merge") {
+      return !!m.target && m.target !== m.key;
+    }
+    if (m.action === "transform" && m.transform === "map") {
+      return Object.keys(m.map || {}).length > 0;
+    }
+    return true;
+  });
+  if (rule.migrations.length === 0) delete rule.migrations;
+}
+
+/* --------------------------- Preview Modal --------------------------- */
+
+// Dry run of the rule engine over a set of files: lists every file that would
+// change with its frontmatter diff, and only writes the files left checked.
+class ApplyPreviewModal extends Modal {
+  constructor(app, plugin, files) {
+    super(app);
+    this.plugin = plugin;
+    this.files = files;
+    this.plans = [];
+    this.selected = new Set();
+    this.cancelled = false;
+  }
+
+  async onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass("hot-folder-preview");
+    contentEl.createEl("h2", { text: "Preview rule changes" });
+
+    const progress = renderProgress(contentEl, `Checking notes…`, () => {
+      this.cancelled = true;
+      this.close();
+    });
+    const result = await this.plugin.runBulk(this.files, {
+      dryRun: true,
+      onProgress: progress.update,
+      isCancelled: () => this.cancelled,
+    });
+    if (result.cancelled) return;
+    progress.el.remove();
+
+    this.plans = result.plans;
+    this.plans.forEach((plan) => this.selected.add(plan));
+    if (result.failed > 0) {
+      contentEl.createDiv({
+        cls: "setting-item-description mod-warning",
+        text: `${result.failed} notes could not be read: ${result.failures.join(", ")}`,
+      });
+    }
+    this.renderPlans();
+  }
+
+  renderPlans() {
+    const { contentEl } = this;
+
+    if (this.plans.length === 0) {
+      contentEl.createDiv({
+        cls: "hot-folder-empty-state",
+        text: "All notes already match their rules. Nothing to change.",
+      });
+      new Setting(contentEl).addButton((btn) =>
+        btn.setButtonText("Close").onClick(() => this.close()),
+      );
+      return;
+    }
+
+    const summary = contentEl.createDiv("setting-item-description");
+    const updateSummary = () => {
+      summary.setText(
+        `${this.plans.length} notes would change, ${this.selected.size} selected.`,
+      );
+      applyBtn.setButtonText(`Apply to ${this.selected.size} notes`);
+      applyBtn.setDisabled(this.selected.size === 0);
+    };
+
+    const list = contentEl.createDiv("hot-folder-preview-list");
+    const checkboxes = [];
+    for (const plan of this.plans) {
+      const item = list.createEl("details", { cls: "hot-folder-preview-item" });
+      const head = item.createEl("summary");
+      const checkbox = head.createEl("input", { type: "checkbox" });
+      checkbox.checked = true;
+      checkbox.addEventListener("click", (evt) => evt.stopPropagation());
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) this.selected.add(plan);
+        else this.selected.delete(plan);
+        updateSummary();
+      });
+      checkboxes.push(checkbox);
+      head.createSpan({ cls: "hot-folder-mono", text: plan.file.path });
+      head.createSpan({
+        cls: "hot-folder-text-small hot-folder-text-muted",
+        text: ` ${plan.changedKeys.join(", ")}`,
+      });
+      renderChangeDiffOnOpen(item, plan);
+    }
+
+    const setAll = (checked) => {
+      this.plans.forEach((plan, i) => {
+        checkboxes[i].checked = checked;
+        if (checked) this.selected.add(plan);
+        else this.selected.delete(plan);
+      });
+      updateSummary();
+    };
+
+    let applyBtn;
+    new Setting(contentEl)
+      .addButton((btn) =>
+        btn.setButtonText("Select all").onClick(() => setAll(true)),
+      )
+      .addButton((btn) =>
+        btn.setButtonText("Select none").onClick(() => setAll(false)),
+      )
+      .addButton((btn) =>
+        btn.setButtonText("Cancel").onClick(() => this.close()),
+      )
+      .addButton((btn) => {
+        applyBtn = btn;
+        btn.setCta().onClick(() => {
+          // Files are re-planned against their current content when applied
+          const files = this.plans
+            .filter((plan) => this.selected.has(plan))
+            .map((plan) => plan.file);
+          this.close();
+          new BulkApplyModal(this.app, this.plugin, files).open();
+        });
+      });
+    updateSummary();
+  }
+
+  onClose() {
+    this.cancelled = true;
+    this.contentEl.empty();
+  }
+}
+
+// Applies rules to a list of files with a progress bar and a cancel button,
+// then reports how many notes changed, were skipped or failed.
+// `onDone(result)` is called once the run has finished.
+class BulkApplyModal extends Modal {
+  constructor(app, plugin, files, onDone) {
+    super(app);
+    this.plugin = plugin;
+    this.files = files;
+    this.onDone = onDone;
+    this.cancelled = false;
+  }
+
+  async onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Applying rules" });
+
+    const progress = renderProgress(contentEl, "Applying rules…", () => {
+      this.cancelled = true;
+    });
+    const result = await this.plugin.runBulk(this.files, {
+      onProgress: progress.update,
+      isCancelled: () => this.cancelled,
+    });
+    progress.el.remove();
+    if (this.onDone) this.onDone(result);
+
+    const report =
+      `${result.changed} changed, ${result.skipped} skipped, ${result.failed} failed` +
+      (result.cancelled ? " (cancelled)" : "");
+    new Notice(`Auto Frontmatter: ${report}.`);
+
+    contentEl.createDiv({ cls: "setting-item-description", text: report });
+    if (result.failures.length > 0) {
+      const failures = contentEl.createEl("ul", { cls: "hot-folder-mono" });
+      for (const path of result.failures) failures.createEl("li", { text: path });
+    }
+    new Setting(contentEl).addButton((btn) =>
+      btn.setButtonText("Close").setCta().onClick(() => this.close()),
+    );
+  }
+
+  onClose() {
+    this.cancelled = true;
+    this.contentEl.empty();
+  }
+}
+
+// Progress bar with a status line and a cancel button
+function renderProgress(containerEl, label, onCancel) {
+  const el = containerEl.createDiv("hot-folder-progress");
+  const status = el.createDiv({ cls: "setting-item-description", text: label });
+  const bar = el.createEl("progress", { cls: "hot-folder-progress-bar" });
+  bar.max = 1;
+  bar.value = 0;
+  new Setting(el).addButton((btn) =>
+    btn.setButtonText("Cancel").onClick(() => {
+      btn.setDisabled(true);
+      onCancel();
+    }),
+  );
+  return {
+    el,
+    update: (done, total) => {
+      bar.max = total;
+      bar.value = done;
+      status.setText(`${label} ${done}/${total}`);
+    },
+  };
+}
 
-    Object.entries(this.rule.frontmatter).forEach(([key, value]) => {
-      const setting = new Setting(this.kvContainer);
+/* -------------------------- Import / Export --------------------------- */
 
-      // Key input
-      setting.addText((text) => {
-        text
-          .setPlaceholder("Field name (e.g., tags, type, category)")
-          .setValue(key)
-          .onChange((newKey) => {
-            if (newKey !== key) {
-              const cur = this.rule.frontmatter[key];
-              delete this.rule.frontmatter[key];
-              this.rule.frontmatter[newKey] = cur;
-              key = newKey;
-            }
-          });
-      });
+class ExportRulesModal extends Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.format = "json";
+  }
 
-      // Value input with smart detection
-      setting.addText((text) => {
-        const isArray = Array.isArray(value);
-        const initialValue = isArray ? value.join(", ") : String(value ?? "");
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Export rules" });
 
-        text
-          .setPlaceholder("Field value (use commas for multiple values)")
-          .setValue(initialValue)
-          .onChange((inputValue) => {
-            const trimmed = inputValue.trim();
-
-            // Auto-detect: if contains commas, treat as array
-            if (trimmed.includes(",")) {
-              this.rule.frontmatter[key] = trimmed
-                .split(",")
-                .map((x) => x.trim())
-                .filter(Boolean);
-            } else {
-              // Single value, treat as string
-              this.rule.frontmatter[key] = trimmed;
-            }
-          });
+    let textArea;
+    const render = () => {
+      textArea.setValue(
+        serializeRuleSet(this.plugin.getRuleSet(), this.format),
+      );
+    };
+
+    new Setting(contentEl).setName("Format").addDropdown((dd) =>
+      dd
+        .addOptions({ json: "JSON", yaml: "YAML" })
+        .setValue(this.format)
+        .onChange((value) => {
+          this.format = value;
+          render();
+        }),
+    );
+
+    new Setting(contentEl)
+      .setClass("hot-folder-textarea-setting")
+      .addTextArea((text) => {
+        textArea = text;
+        text.inputEl.rows = 16;
+        text.inputEl.readOnly = true;
       });
+    render();
 
-      // Remove button
-      setting.addButton((btn) =>
+    new Setting(contentEl)
+      .addButton((btn) =>
+        btn.setButtonText("Close").onClick(() => this.close()),
+      )
+      .addButton((btn) =>
         btn
-          .setButtonText("Remove")
-          .setWarning()
-          .onClick(() => {
-            delete this.rule.frontmatter[key];
-            this.renderKVRows();
+          .setButtonText("Copy")
+          .setCta()
+          .onClick(async () => {
+            await navigator.clipboard.writeText(textArea.getValue());
+            new Notice("Auto Frontmatter: rules copied to clipboard.");
           }),
       );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class ImportRulesModal extends Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.text = "";
+    this.mode = "merge";
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Import rules" });
+
+    contentEl.createDiv({
+      cls: "setting-item-description",
+      text: "Paste rules exported as JSON or YAML. Routing rules included in the export are imported too.",
     });
 
-    // Empty state
-    if (Object.keys(this.rule.frontmatter).length === 0) {
-      const emptySetting = new Setting(this.kvContainer);
-      emptySetting.setDesc(
-        "No fields defined. Click 'Add field' above to get started.",
+    new Setting(contentEl)
+      .setClass("hot-folder-textarea-setting")
+      .addTextArea((text) => {
+        text.inputEl.rows = 16;
+        text.setPlaceholder("rules:\n  - folder: Projects\n    frontmatter:\n      tags: [project]");
+        text.onChange((value) => {
+          this.text = value;
+        });
+      });
+
+    new Setting(contentEl)
+      .setName("Mode")
+      .setDesc(
+        "Merge adds the imported rules and skips ones identical to an existing rule. Replace drops the current rules first.",
+      )
+      .addDropdown((dd) =>
+        dd
+          .addOptions({ merge: "Merge", replace: "Replace" })
+          .setValue(this.mode)
+          .onChange((value) => {
+            this.mode = value;
+          }),
       );
-      emptySetting.descEl.style.textAlign = "center";
-      emptySetting.descEl.style.fontStyle = "italic";
-      emptySetting.descEl.style.color = "var(--text-muted)";
+
+    new Setting(contentEl)
+      .addButton((btn) =>
+        btn.setButtonText("Cancel").onClick(() => this.close()),
+      )
+      .addButton((btn) =>
+        btn
+          .setButtonText("Import")
+          .setCta()
+          .onClick(async () => {
+            let ruleSet;
+            try {
+              ruleSet = parseRuleSet(this.text);
+            } catch (e) {
+              new Notice(`Could not import rules: ${e.message}`);
+              return;
+            }
+            this.close();
+            const { added, duplicates } = await this.plugin.importRuleSet(
+              ruleSet,
+              this.mode,
+            );
+            new Notice(
+              `Auto Frontmatter: imported ${added} rules` +
+                (duplicates > 0 ? `, skipped ${duplicates} duplicates.` : "."),
+            );
+          }),
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/* --------------------------- Folder rename ---------------------------- */
+
+// Asks whether rules should follow a renamed folder. `onChoose(update)` is
+// called once, with false when the modal is dismissed.
+class FolderRenameModal extends Modal {
+  constructor(app, oldPath, newPath, changes, onChoose) {
+    super(app);
+    this.oldPath = oldPath;
+    this.newPath = newPath;
+    this.changes = changes;
+    this.onChoose = onChoose;
+    this.chosen = false;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Update rules for renamed folder?" });
+    contentEl.createDiv({
+      cls: "setting-item-description",
+      text: `${this.oldPath} was renamed to ${this.newPath}. These settings refer to it:`,
+    });
+
+    const list = contentEl.createEl("ul");
+    for (const change of this.changes) {
+      list.createEl("li", {
+        text: `${change.label}: ${change.from} → ${change.to}`,
+      });
     }
+
+    new Setting(contentEl)
+      .addButton((btn) =>
+        btn.setButtonText("Keep as is").onClick(() => this.choose(false)),
+      )
+      .addButton((btn) =>
+        btn
+          .setButtonText("Update rules")
+          .setCta()
+          .onClick(() => this.choose(true)),
+      );
+  }
+
+  choose(update) {
+    this.chosen = true;
+    this.close();
+    this.onChoose(update);
   }
 
   onClose() {
+    this.contentEl.empty();
+    if (!this.chosen) this.onChoose(false);
+  }
+}
+
+/* ----------------------------- Rule list ------------------------------ */
+
+// Lists rules with an Edit button each. Given a `file`, it also shows whether
+// each rule's conditions hold for the note and what applying would change.
+class RuleListModal extends Modal {
+  constructor(app, plugin, { title, rules, file }) {
+    super(app);
+    this.plugin = plugin;
+    this.title = title;
+    this.rules = rules;
+    this.file = file;
+  }
+
+  async onOpen() {
     const { contentEl } = this;
     contentEl.empty();
+    contentEl.createEl("h2", { text: this.title });
+
+    if (this.rules.length === 0) {
+      contentEl.createDiv({
+        cls: "hot-folder-empty-state",
+        text: "No rules match this location.",
+      });
+      return;
+    }
+
+    let context = null;
+    if (this.file) {
+      const { frontmatter, body } = parseFrontmatter(
+        await this.app.vault.cachedRead(this.file),
+      );
+      context = getConditionContext(this.file, frontmatter, body, "manual");
+    }
+
+    for (const rule of this.rules) {
+      const setting = new Setting(contentEl)
+        .setName(rule.name || rule.folder)
+        .setDesc(
+          Object.keys(rule.frontmatter || {}).join(", ") || "No fields",
+        );
+      if (context && (rule.conditions || []).length > 0) {
+        const met = conditionsMet(rule, context);
+        setting.descEl.createDiv({
+          cls: met ? "hot-folder-text-muted" : "mod-warning",
+          text: `${met ? "Conditions met" : "Conditions not met"}: ${describeConditions(rule)}`,
+        });
+      }
+      // Folder note rules are edited in the note itself
+      if (rule.source) {
+        setting.addButton((btn) =>
+          btn.setButtonText("Open note").onClick(() => {
+            this.close();
+            this.app.workspace.openLinkText(rule.source, "", false);
+          }),
+        );
+        continue;
+      }
+      // Rules added through the API belong to the plugin that added them
+      if (!this.plugin.settings.rules.some((r) => r.id === rule.id)) continue;
+      setting.addButton((btn) =>
+        btn.setButtonText("Edit").onClick(() => {
+          new RuleEditModal(this.app, rule, async (updatedRule) => {
+            await this.plugin.updateRule(updatedRule);
+            this.rules = this.rules.map((r) =>
+              r.id === updatedRule.id ? updatedRule : r,
+            );
+            this.onOpen();
+          }).open();
+        }),
+      );
+    }
+
+    if (!this.file) return;
+    const plan = await this.plugin.planRules(this.file, { trigger: "manual" });
+    new Setting(contentEl).setName("Pending changes").setHeading();
+    if (!plan) {
+      contentEl.createDiv({
+        cls: "setting-item-description",
+        text: "This note is up to date.",
+      });
+      return;
+    }
+    renderChangeDiff(contentEl, plan);
+    new Setting(contentEl).addButton((btn) =>
+      btn
+        .setButtonText("Apply rules")
+        .setCta()
+        .onClick(async () => {
+          await this.plugin.applyRules(this.file, { trigger: "manual" });
+          this.onOpen();
+        }),
+    );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/* ---------------------------- Folder picker --------------------------- */
+
+class FolderSuggestModal extends FuzzySuggestModal {
+  constructor(app, onChoose) {
+    super(app);
+    this.onChoose = onChoose;
+    this.setPlaceholder("Choose a folder");
+  }
+
+  getItems() {
+    return this.app.vault
+      .getAllLoadedFiles()
+      .filter((f) => f instanceof TFolder);
+  }
+
+  getItemText(folder) {
+    return folder.isRoot() ? "/" : folder.path;
+  }
+
+  onChooseItem(folder) {
+    this.onChoose(folder);
+  }
+}
+
+class GroupSuggestModal extends FuzzySuggestModal {
+  constructor(app, plugin, onChoose) {
+    super(app);
+    this.plugin = plugin;
+    this.onChoose = onChoose;
+    this.setPlaceholder("Choose a rule group to toggle");
+  }
+
+  getItems() {
+    return this.plugin.getRuleGroups();
+  }
+
+  getItemText(group) {
+    return `${group} (${this.plugin.isGroupEnabled(group) ? "on" : "off"})`;
+  }
+
+  onChooseItem(group) {
+    this.onChoose(group);
+  }
+}
+
+/* --------------------------- Journal View ---------------------------- */
+
+// Lists recorded rule applications, newest first, grouped by run
+class JournalView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+  }
+
+  getViewType() {
+    return VIEW_TYPE_JOURNAL;
+  }
+
+  getDisplayText() {
+    return "Hot Folder journal";
+  }
+
+  getIcon() {
+    return "history";
+  }
+
+  async onOpen() {
+    this.render();
+  }
+
+  render() {
+    const container = this.contentEl;
+    container.empty();
+    container.addClass("hot-folder-journal");
+
+    const journal = this.plugin.journal;
+    if (journal.length === 0) {
+      container.createDiv({
+        cls: "hot-folder-empty-state",
+        text: "No rule applications recorded yet.",
+      });
+      return;
+    }
+
+    const batches = new Map();
+    for (const entry of [...journal].reverse()) {
+      if (!batches.has(entry.batchId)) batches.set(entry.batchId, []);
+      batches.get(entry.batchId).push(entry);
+    }
+
+    for (const entries of batches.values()) {
+      const batchEl = container.createDiv("hot-folder-journal-batch");
+      const first = entries[0];
+      const pending = entries.filter((e) => !e.undone);
+
+      const setting = new Setting(batchEl)
+        .setName(
+          `${moment(first.time).format("YYYY-MM-DD HH:mm:ss")} · ${first.trigger}`,
+        )
+        .setDesc(
+          `${entries.length} note${entries.length === 1 ? "" : "s"}` +
+            (pending.length < entries.length
+              ? `, ${entries.length - pending.length} undone`
+              : ""),
+        );
+      if (pending.length > 0) {
+        setting.addButton((btn) =>
+          btn
+            .setButtonText(entries.length === 1 ? "Undo" : "Undo run")
+            .onClick(() => this.plugin.undoEntries(entries.slice().reverse())),
+        );
+      }
+
+      for (const entry of entries) {
+        const item = batchEl.createEl("details", {
+          cls: "hot-folder-journal-item",
+        });
+        if (entry.undone) item.addClass("is-undone");
+        const head = item.createEl("summary");
+        const link = head.createEl("a", {
+          cls: "hot-folder-mono",
+          text: entry.path,
+        });
+        link.addEventListener("click", (evt) => {
+          evt.preventDefault();
+          this.app.workspace.openLinkText(entry.path, "", false);
+        });
+        if (entries.length > 1 && !entry.undone) {
+          const undo = head.createEl("button", { text: "Undo" });
+          undo.addEventListener("click", (evt) => {
+            evt.preventDefault();
+            this.plugin.undoEntries([entry]);
+          });
+        }
+        item.createDiv({
+          cls: "hot-folder-text-small hot-folder-text-muted",
+          text:
+            "Rules: " +
+            ((entry.ruleIds || [])
+              .map((id) => this.plugin.describeRule(id))
+              .join(", ") || "none"),
+        });
+        renderChangeDiffOnOpen(item, entry);
+      }
+    }
+  }
+}
+
+/* -------------------------- Compliance View --------------------------- */
+
+const COMPLIANCE_STATUS = {
+  missing: "missing",
+  mismatch: "doesn't match",
+  remove: "should be removed",
+  rename: "should be renamed",
+};
+
+// Lists notes that don't match the rules of their folder, e.g. because they
+// were edited after the rule applied or predate the rule
+class ComplianceView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.groups = null;
+  }
+
+  getViewType() {
+    return VIEW_TYPE_COMPLIANCE;
+  }
+
+  getDisplayText() {
+    return "Hot Folder compliance";
+  }
+
+  getIcon() {
+    return "list-checks";
+  }
+
+  async onOpen() {
+    await this.refresh();
+  }
+
+  async refresh() {
+    const container = this.contentEl;
+    container.empty();
+    container.addClass("hot-folder-compliance");
+    const status = container.createDiv({
+      cls: "setting-item-description",
+      text: "Checking notes…",
+    });
+    this.groups = await this.plugin.checkCompliance((done, total) => {
+      if (done % 200 === 0) status.setText(`Checking notes… ${done}/${total}`);
+    });
+    this.render();
+  }
+
+  render() {
+    const container = this.contentEl;
+    container.empty();
+
+    new Setting(container)
+      .setName("Compliance report")
+      .setDesc(
+        this.groups.length === 0
+          ? "All notes match their folder rules."
+          : `${new Set(this.groups.flatMap((g) => g.items.map((i) => i.file))).size} notes don't match their folder rules.`,
+      )
+      .addButton((btn) =>
+        btn.setButtonText("Refresh").onClick(() => this.refresh()),
+      );
+
+    const byRule = new Map();
+    for (const group of this.groups) {
+      if (!byRule.has(group.rule)) byRule.set(group.rule, []);
+      byRule.get(group.rule).push(group);
+    }
+
+    for (const [rule, groups] of byRule) {
+      const ruleEl = container.createDiv("hot-folder-compliance-rule");
+      const header = ruleEl.createDiv("hot-folder-rule-header");
+      if (rule.name) {
+        header.createSpan({ cls: "hot-folder-rule-name", text: rule.name });
+      }
+      header.createSpan({ text: "Folder: " });
+      header.createSpan({
+        cls: "hot-folder-folder-badge hot-folder-mono",
+        text: rule.folder,
+      });
+
+      for (const group of groups) {
+        const groupEl = ruleEl.createEl("details", {
+          cls: "hot-folder-compliance-group",
+        });
+        const summary = groupEl.createEl("summary");
+        summary.createSpan({ cls: "hot-folder-field-key", text: group.key });
+        summary.createSpan({
+          cls: "hot-folder-text-muted",
+          text: ` ${COMPLIANCE_STATUS[group.status]} (${group.items.length})`,
+        });
+        const fixAll = summary.createEl("button", { text: "Fix all" });
+        fixAll.addEventListener("click", (evt) => {
+          evt.preventDefault();
+          new BulkApplyModal(
+            this.app,
+            this.plugin,
+            group.items.map((item) => item.file),
+            () => this.refresh(),
+          ).open();
+        });
+
+        if (group.expected !== undefined) {
+          groupEl.createDiv({
+            cls: "hot-folder-text-small hot-folder-text-muted",
+            text: `Expected: ${formatValue(group.expected)}`,
+          });
+        }
+
+        for (const item of group.items) {
+          const row = new Setting(groupEl)
+            .setName(item.file.path)
+            .setDesc(
+              item.actual === undefined
+                ? "Not set"
+                : `Current: ${formatValue(item.actual)}`,
+            )
+            .addButton((btn) =>
+              btn.setButtonText("Open").onClick(() => {
+                this.app.workspace.openLinkText(item.file.path, "", false);
+              }),
+            )
+            .addButton((btn) =>
+              btn.setButtonText("Fix").onClick(async () => {
+                await this.plugin.applyRules(item.file, { trigger: "manual" });
+                await this.refresh();
+              }),
+            );
+          row.setClass("hot-folder-compliance-item");
+        }
+      }
+    }
   }
 }
 
 /* ----------------------------- helpers ----------------------------- */
 
-function deepClone(x) {
-  return JSON.parse(JSON.stringify(x));
+// Display a frontmatter value in the UI
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(", ");
+  if (isPlainObject(value)) return JSON.stringify(value);
+  return scalarText(value);
+}
+
+function splitLines(text) {
+  return text
+    .split("\n")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Diff of a plan or journal entry, including the body when it changed
+function renderChangeDiff(containerEl, change) {
+  renderLineDiff(
+    containerEl,
+    change.before + (change.bodyBefore || ""),
+    change.after + (change.bodyAfter || ""),
+  );
+}
+
+// A diff inside a <details> element is only computed once it is opened, so
+// long lists don't diff every note up front
+function renderChangeDiffOnOpen(detailsEl, change) {
+  const containerEl = detailsEl.createDiv();
+  detailsEl.addEventListener("toggle", () => {
+    if (detailsEl.open && !containerEl.hasChildNodes()) {
+      renderChangeDiff(containerEl, change);
+    }
+  });
+}
+
+function renderLineDiff(containerEl, before, after) {
+  const pre = containerEl.createEl("pre", { cls: "hot-folder-diff" });
+  for (const { type, text } of diffLines(before, after)) {
+    pre.createDiv({
+      cls:
+        type === "+"
+          ? "hot-folder-diff-add"
+          : type === "-"
+            ? "hot-folder-diff-del"
+            : "hot-folder-diff-same",
+      text: `${type} ${text}`,
+    });
+  }
 }
 
 module.exports = AutoFrontmatterPlugin;